@@ -2,14 +2,25 @@
  * Inline Image Generation Extension for SillyTavern
  * 
  * Catches [IMG:GEN:{json}] tags in AI messages and generates images via configured API.
- * Supports OpenAI-compatible and Gemini-compatible (nano-banana) endpoints.
+ * Supports OpenAI-compatible, Gemini-compatible (nano-banana), Naistera,
+ * Stable Diffusion WebUI (A1111/Forge), ComfyUI and custom templated HTTP endpoints.
  */
 
 const MODULE_NAME = 'inline_image_gen';
 
-// Track messages currently being processed to prevent duplicate processing
+// Track messages currently being processed to prevent duplicate processing (keys: "<chat id>:<message id>")
 const processingMessages = new Set();
 
+// In-flight generations by placeholder tag id: { controller, messageId, swipeId, chatId }
+const activeGenerations = new Map();
+
+// Generations started from streamed text, by message id: { swipeId, parsedLength, jobs: Map<tag key, job> }
+const streamingJobs = new Map();
+
+// Global generation queue shared by all messages: waiters for a free slot of one provider (profile)
+const generationQueue = [];
+const runningGenerationsByProvider = new Map();
+
 // Log buffer for debugging
 const logBuffer = [];
 const MAX_LOG_ENTRIES = 200;
@@ -45,6 +56,56 @@ function exportLogs() {
     toastr.success('Логи экспортированы', 'Генерация картинок');
 }
 
+// Provider config stored per connection profile (see ensureConnectionProfiles)
+const defaultConnectionSettings = Object.freeze({
+    apiType: 'openai', // 'openai' | 'gemini' | 'naistera' | 'sdwebui' | 'comfyui' | 'custom'
+    endpoint: '',
+    apiKey: '',
+    model: '',
+    size: '1024x1024',
+    quality: 'standard',
+    openaiImageEdits: false, // Send references through multipart /v1/images/edits
+    maxConcurrency: 2, // Generations running at once through this profile; the rest wait in the global queue
+    // Nano-banana specific
+    aspectRatio: '1:1', // "1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"
+    imageSize: '1K', // "1K", "2K", "4K"
+    // Naistera specific
+    naisteraAspectRatio: '1:1',
+    naisteraModel: 'grok', // 'grok' | 'grok-pro' | 'nano banana 2' | 'novelai'
+    naisteraVideoTest: false,
+    naisteraVideoEveryN: 1,
+    // Stable Diffusion WebUI (A1111/Forge) specific
+    sdSampler: 'Euler a',
+    sdSteps: 28,
+    sdCfgScale: 7,
+    sdNegativePrompt: '',
+    sdReferenceMode: 'img2img', // 'img2img' | 'controlnet' | 'off'
+    sdDenoisingStrength: 0.75,
+    sdControlNetModule: 'reference_only',
+    sdControlNetModel: '',
+    // ComfyUI specific
+    comfyWorkflow: '', // API-format workflow JSON with {prompt}/{negative}/{seed}/{width}/{height}/{reference_N} placeholders
+    comfyWorkflowName: '',
+    comfyNegativePrompt: '',
+    // Custom HTTP provider
+    customBodyTemplate: '', // JSON body with {{prompt}}/{{aspect_ratio}}/{{references}}/{{seed}}/{{model}} placeholders
+    customHeaders: '', // "Name: value" per line, {{api_key}} is substituted
+    customImagePath: '', // JSONPath-like selector of the image in the response, e.g. $.data[0].b64_json
+    customReferenceFormat: 'dataUrl', // 'dataUrl' | 'base64'
+    // Submit-then-poll mode (custom, OpenAI, Naistera): the POST returns a job id, the result is fetched from a status URL
+    customAsync: false,
+    customJobIdPath: '$.id',
+    customStatusUrl: '', // e.g. https://api.example.com/v1/jobs/{{job_id}}
+    customStatusPath: '$.status',
+    customSuccessValues: 'succeeded, completed, done',
+    customFailureValues: 'failed, error, canceled',
+    customProgressPath: '', // 0..1 or 0..100
+    customQueuePositionPath: '',
+    customResultPath: '', // OpenAI/Naistera: where the regular response sits in the status reply; empty = the whole reply
+    customPollIntervalSec: 2,
+    customPollTimeoutSec: 600,
+});
+
 // Default settings
 const defaultSettings = Object.freeze({
     enabled: true,
@@ -53,34 +114,47 @@ const defaultSettings = Object.freeze({
     imageContextCount: 1,
     styles: [],
     activeStyleId: '',
-    apiType: 'openai', // 'openai' | 'gemini' | 'naistera'
-    endpoint: '',
-    apiKey: '',
-    model: '',
-    size: '1024x1024',
-    quality: 'standard',
+    connectionProfiles: [], // [{ id, name, config: defaultConnectionSettings }]
+    activeConnectionProfileId: '',
+    fallbackProfileIds: [], // ordered profile ids tried after the active one fails
+    // Opt-in generation for tags that appear outside a freshly rendered message (error images still never auto-retry)
+    autoGenerateOnSwipe: false,
+    autoGenerateOnEdit: false,
+    autoGenerateOnContinue: false,
+    generateWhileStreaming: false, // Start complete tags before the streamed response is finished
     maxRetries: 0, // No auto-retry - user clicks error image to retry manually
     retryDelay: 1000,
+    // Reference toggles stay global: they live in the references section, not in a profile
+    openaiSendCharAvatar: false,
+    openaiSendUserAvatar: false,
     // Nano-banana specific
     sendCharAvatar: false,
     sendUserAvatar: false,
     useActiveUserPersonaAvatar: false,
     userAvatarFile: '', // Selected user avatar filename from /User Avatars/
-    aspectRatio: '1:1', // "1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"
-    imageSize: '1K', // "1K", "2K", "4K"
     // Naistera specific
-    naisteraAspectRatio: '1:1',
-    naisteraModel: 'grok', // 'grok' | 'grok-pro' | 'nano banana 2' | 'novelai'
     naisteraSendCharAvatar: false,
     naisteraSendUserAvatar: false,
-    naisteraVideoTest: false,
-    naisteraVideoEveryN: 1,
+    // Stable Diffusion WebUI specific
+    sdSendCharAvatar: false,
+    sdSendUserAvatar: false,
+    // ComfyUI specific
+    comfySendCharAvatar: false,
+    comfySendUserAvatar: false,
+    // Custom HTTP provider specific
+    customSendCharAvatar: false,
+    customSendUserAvatar: false,
     additionalReferences: [],
 });
 
 const MAX_CONTEXT_IMAGES = 3;
 const MAX_GENERATION_REFERENCE_IMAGES = 5;
 const MAX_ADDITIONAL_REFERENCES = 8;
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const NON_RETRYABLE_HTTP_STATUSES = new Set([400, 401, 403]);
+// Not worth retrying, but another profile may still serve the request (endpoint or model missing)
+const PROVIDER_UNAVAILABLE_HTTP_STATUSES = new Set([404]);
+const MAX_RETRY_TOTAL_WAIT_MS = 2 * 60 * 1000;
 const PERSONAS_MODULE_PATHS = Object.freeze([
     '/scripts/personas.js',
     '../../../personas.js',
@@ -144,7 +218,23 @@ const ENDPOINT_PLACEHOLDERS = Object.freeze({
     openai: 'https://api.openai.com',
     gemini: 'https://generativelanguage.googleapis.com',
     naistera: 'https://naistera.org',
+    sdwebui: 'http://127.0.0.1:7860',
+    comfyui: 'http://127.0.0.1:8188',
+    custom: 'https://api.example.com/v1/generate',
 });
+const SD_WEBUI_REFERENCE_MODES = Object.freeze(['img2img', 'controlnet', 'off']);
+// Square edge for each image_size (SD WebUI, ComfyUI); width/height are derived from the aspect ratio.
+const IMAGE_SIZE_SQUARE_EDGES = Object.freeze({ '1K': 1024, '2K': 1536, '4K': 2048 });
+const COMFYUI_POLL_INTERVAL_MS = 1000;
+const COMFYUI_TIMEOUT_MS = 10 * 60 * 1000;
+// {reference} is an alias for {reference_1}
+const COMFYUI_PLACEHOLDER_RE = /\{(prompt|negative|seed|width|height|reference(?:_\d+)?)\}/g;
+const CUSTOM_TEMPLATE_PLACEHOLDER_RE = /\{\{\s*(prompt|aspect_ratio|references|seed|model|api_key)\s*\}\}/g;
+const CUSTOM_REFERENCE_FORMATS = Object.freeze(['dataUrl', 'base64']);
+// Providers whose POST can be answered with a job id instead of the result
+const ASYNC_JOB_PROVIDERS = Object.freeze(['openai', 'naistera', 'custom']);
+// Failed status requests in a row before a job is given up; a success resets the count
+const ASYNC_POLL_MAX_CONSECUTIVE_ERRORS = 5;
 
 function normalizeNaisteraModel(model) {
     const raw = String(model || '').trim().toLowerCase();
@@ -188,6 +278,67 @@ function normalizeImageContextCount(value) {
     return Math.min(numeric, MAX_CONTEXT_IMAGES);
 }
 
+function normalizeSdWebUiReferenceMode(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    return SD_WEBUI_REFERENCE_MODES.includes(raw) ? raw : 'img2img';
+}
+
+function normalizeSdWebUiSteps(value) {
+    const numeric = Number.parseInt(String(value ?? '').trim(), 10);
+    if (!Number.isFinite(numeric) || numeric < 1) return 28;
+    return Math.min(numeric, 150);
+}
+
+function normalizeSdWebUiCfgScale(value) {
+    const numeric = Number.parseFloat(String(value ?? '').trim());
+    if (!Number.isFinite(numeric) || numeric < 1) return 7;
+    return Math.min(numeric, 30);
+}
+
+function normalizeSdWebUiDenoisingStrength(value) {
+    const numeric = Number.parseFloat(String(value ?? '').trim());
+    if (!Number.isFinite(numeric) || numeric < 0) return 0.75;
+    return Math.min(numeric, 1);
+}
+
+function normalizeMaxConcurrency(value) {
+    const numeric = Number.parseInt(String(value ?? '').trim(), 10);
+    if (!Number.isFinite(numeric) || numeric < 1) return 2;
+    return Math.min(numeric, 10);
+}
+
+function normalizeCustomPollInterval(value) {
+    const numeric = Number.parseFloat(String(value ?? '').trim());
+    if (!Number.isFinite(numeric) || numeric < 0.5) return 2;
+    return Math.min(numeric, 60);
+}
+
+function normalizeCustomPollTimeout(value) {
+    const numeric = Number.parseInt(String(value ?? '').trim(), 10);
+    if (!Number.isFinite(numeric) || numeric < 10) return 600;
+    return Math.min(numeric, 3600);
+}
+
+function parseAspectRatioValue(aspectRatio) {
+    const match = String(aspectRatio || '').trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const width = Number(match[1]);
+    const height = Number(match[2]);
+    if (!(width > 0 && height > 0)) return null;
+    return width / height;
+}
+
+function resolvePixelDimensions(aspectRatio, imageSize) {
+    const ratio = parseAspectRatioValue(aspectRatio) || 1;
+    const edge = IMAGE_SIZE_SQUARE_EDGES[imageSize] || IMAGE_SIZE_SQUARE_EDGES['1K'];
+    // A1111/ComfyUI want dimensions divisible by 8; 64 keeps SDXL latents happy as well.
+    const roundTo64 = (value) => Math.max(64, Math.round(value / 64) * 64);
+    return {
+        width: roundTo64(edge * Math.sqrt(ratio)),
+        height: roundTo64(edge / Math.sqrt(ratio)),
+    };
+}
+
 function getAssistantMessageOrdinal(messageId) {
     const context = SillyTavern.getContext();
     const chat = Array.isArray(context?.chat) ? context.chat : [];
@@ -205,11 +356,10 @@ function getAssistantMessageOrdinal(messageId) {
     return Math.max(1, messageId + 1);
 }
 
-function shouldTriggerNaisteraVideoForMessage(messageId, everyN) {
+function shouldTriggerNaisteraVideoForMessage(assistantOrdinal, everyN) {
     const normalizedEveryN = normalizeNaisteraVideoFrequency(everyN);
     if (normalizedEveryN <= 1) return true;
-    const ordinal = getAssistantMessageOrdinal(messageId);
-    return ordinal % normalizedEveryN === 0;
+    return assistantOrdinal % normalizedEveryN === 0;
 }
 
 function getEndpointPlaceholder(apiType) {
@@ -236,7 +386,7 @@ function shouldReplaceEndpointForApiType(apiType, endpoint) {
         || /\/v1beta\/models\//i.test(trimmed);
 }
 
-function getEffectiveEndpoint(settings = getSettings()) {
+function getEffectiveEndpoint(settings = getConnectionSettings()) {
     return normalizeConfiguredEndpoint(settings.apiType, settings.endpoint);
 }
 
@@ -268,6 +418,181 @@ function saveSettings() {
     context.saveSettingsDebounced();
 }
 
+function createConnectionProfileId() {
+    return `iig-connection-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeConnectionConfig(config = {}) {
+    const normalized = {};
+    for (const key of Object.keys(defaultConnectionSettings)) {
+        normalized[key] = Object.hasOwn(config, key) ? config[key] : defaultConnectionSettings[key];
+    }
+    return normalized;
+}
+
+/**
+ * Ensure at least one connection profile exists.
+ * Settings saved before profiles existed kept the provider config flat; it becomes the first profile.
+ */
+function ensureConnectionProfiles(settings = getSettings()) {
+    const profiles = Array.isArray(settings.connectionProfiles)
+        ? settings.connectionProfiles.filter((profile) => profile && typeof profile === 'object')
+        : [];
+
+    if (profiles.length === 0) {
+        const hasFlatConfig = Object.keys(defaultConnectionSettings).some((key) => Object.hasOwn(settings, key));
+        profiles.push({
+            id: createConnectionProfileId(),
+            name: hasFlatConfig ? 'Основной' : 'Профиль 1',
+            config: normalizeConnectionConfig(settings),
+        });
+    }
+
+    for (const key of Object.keys(defaultConnectionSettings)) {
+        delete settings[key];
+    }
+
+    // Normalize in place so config objects handed out by getActiveConnection stay live
+    profiles.forEach((profile, index) => {
+        profile.id = String(profile.id || createConnectionProfileId());
+        profile.name = String(profile.name || '').trim() || `Профиль ${index + 1}`;
+        if (!profile.config || typeof profile.config !== 'object') {
+            profile.config = {};
+        }
+        for (const key of Object.keys(defaultConnectionSettings)) {
+            if (!Object.hasOwn(profile.config, key)) {
+                profile.config[key] = defaultConnectionSettings[key];
+            }
+        }
+    });
+    settings.connectionProfiles = profiles;
+
+    if (!profiles.some((profile) => profile.id === settings.activeConnectionProfileId)) {
+        settings.activeConnectionProfileId = profiles[0].id;
+    }
+
+    const knownIds = new Set(profiles.map((profile) => profile.id));
+    settings.fallbackProfileIds = [...new Set(Array.isArray(settings.fallbackProfileIds) ? settings.fallbackProfileIds : [])]
+        .filter((id) => knownIds.has(id));
+
+    return profiles;
+}
+
+function getActiveConnectionProfile(settings = getSettings()) {
+    const profiles = ensureConnectionProfiles(settings);
+    return profiles.find((profile) => profile.id === settings.activeConnectionProfileId) || profiles[0];
+}
+
+/**
+ * Mutable provider config of the active profile - settings UI writes go here.
+ */
+function getActiveConnection(settings = getSettings()) {
+    return getActiveConnectionProfile(settings).config;
+}
+
+/**
+ * Read-only view: global settings overlaid with a connection config (the active profile by default).
+ * Generators, validation and endpoint resolution read provider fields from this view.
+ */
+function getConnectionSettings(connection = null) {
+    const settings = getSettings();
+    return { ...settings, ...(connection || getActiveConnection(settings)) };
+}
+
+function getConnectionProfileLabel(profile) {
+    return `${profile.name} (${profile.config.apiType})`;
+}
+
+/**
+ * Find the profile a tag's `provider` field points at: a profile name or id first, then an API type
+ * (the active profile wins when it already has that type).
+ */
+function findConnectionProfileForProvider(provider, settings = getSettings()) {
+    const key = String(provider || '').trim().toLowerCase();
+    if (!key) {
+        return null;
+    }
+
+    const profiles = ensureConnectionProfiles(settings);
+    const activeProfile = getActiveConnectionProfile(settings);
+    return profiles.find((profile) => profile.id === provider || profile.name.trim().toLowerCase() === key)
+        || (activeProfile.config.apiType === key ? activeProfile : null)
+        || profiles.find((profile) => profile.config.apiType === key)
+        || null;
+}
+
+/**
+ * Ordered list of connections a generation may use: the primary one, then the fallback profiles.
+ * The primary is the tag's `provider` profile (or the active one) with the tag's `model` applied.
+ */
+function getGenerationConnectionChain(overrides = {}) {
+    const settings = getSettings();
+    const profiles = ensureConnectionProfiles(settings);
+    let primaryProfile = getActiveConnectionProfile(settings);
+
+    if (overrides.provider) {
+        const tagProfile = findConnectionProfileForProvider(overrides.provider, settings);
+        if (tagProfile) {
+            primaryProfile = tagProfile;
+        } else {
+            iigLog('WARN', `Unknown provider "${overrides.provider}" in tag, using active profile ${primaryProfile.name}`);
+        }
+    }
+
+    const primary = { id: primaryProfile.id, label: getConnectionProfileLabel(primaryProfile), config: primaryProfile.config };
+    const tagModel = String(overrides.model || '').trim();
+    if (tagModel) {
+        // Tag-level model only applies to the primary provider; fallbacks keep their own model
+        const modelKey = primaryProfile.config.apiType === 'naistera' ? 'naisteraModel' : 'model';
+        primary.config = { ...primaryProfile.config, [modelKey]: tagModel };
+        primary.label = `${primary.label} / ${tagModel}`;
+    }
+
+    const chain = [primary];
+    for (const profileId of settings.fallbackProfileIds) {
+        const profile = profiles.find((item) => item.id === profileId);
+        if (!profile || chain.some((entry) => entry.id === profile.id)) {
+            continue;
+        }
+        chain.push({ id: profile.id, label: getConnectionProfileLabel(profile), config: profile.config });
+    }
+
+    return chain;
+}
+
+function createConnectionProfile(name = '') {
+    const settings = getSettings();
+    const profiles = ensureConnectionProfiles(settings);
+    const profile = {
+        id: createConnectionProfileId(),
+        name: String(name || '').trim() || `Профиль ${profiles.length + 1}`,
+        config: structuredClone(getActiveConnection(settings)),
+    };
+    profiles.push(profile);
+    settings.activeConnectionProfileId = profile.id;
+    return profile;
+}
+
+function removeConnectionProfile(profileId) {
+    const settings = getSettings();
+    const profiles = ensureConnectionProfiles(settings);
+    if (profiles.length <= 1) {
+        return false;
+    }
+
+    const index = profiles.findIndex((profile) => profile.id === profileId);
+    if (index === -1) {
+        return false;
+    }
+
+    profiles.splice(index, 1);
+    settings.fallbackProfileIds = settings.fallbackProfileIds.filter((id) => id !== profileId);
+    if (settings.activeConnectionProfileId === profileId) {
+        settings.activeConnectionProfileId = profiles[0].id;
+    }
+    return true;
+}
+
 function ensureStyles(settings = getSettings()) {
     if (!Array.isArray(settings.styles)) {
         const migratedPresets = Array.isArray(settings.stylePresets) ? settings.stylePresets : [];
@@ -371,40 +696,96 @@ async function parseMessageImageTags(message, options = {}) {
     const settings = getSettings();
     const tags = [];
 
+    // Tags remember the swipe they came from, so results land there even if the user swipes away meanwhile
+    const swipeId = message?.swipe_id;
     const mainTags = await parseImageTags(message?.mes || '', options);
-    tags.push(...mainTags.map(tag => ({ ...tag, sourceKey: 'mes' })));
+    tags.push(...mainTags.map(tag => ({ ...tag, sourceKey: 'mes', swipeId })));
 
     if (settings.externalBlocks && message?.extra?.extblocks) {
         const extTags = await parseImageTags(message.extra.extblocks, options);
-        tags.push(...extTags.map(tag => ({ ...tag, sourceKey: 'extblocks' })));
+        tags.push(...extTags.map(tag => ({ ...tag, sourceKey: 'extblocks', swipeId })));
     }
 
     return tags;
 }
 
+/**
+ * Replace a tag in one text. The tag is looked up by its exact text first and, when the message was
+ * edited meanwhile, by data-iig-id. A function replacement is built from the tag as it is now.
+ * @returns {{text: string, replaced: boolean, changed: boolean}} changed: found only by id
+ */
+function replaceTagInText(text, tag, replacement) {
+    const source = String(text || '');
+    let currentTag = tag;
+    let changed = false;
+
+    if (!source.includes(tag.fullMatch)) {
+        const found = findInstructionTagById(source, tag.id);
+        if (!found) {
+            return { text: source, replaced: false, changed: false };
+        }
+        currentTag = { ...tag, fullMatch: found.fullMatch, instructionJson: found.instructionJson, mediaTagName: found.tagName };
+        changed = true;
+    }
+
+    const value = typeof replacement === 'function' ? replacement(currentTag) : replacement;
+    return { text: source.replace(currentTag.fullMatch, () => value), replaced: true, changed };
+}
+
+/**
+ * Write a tag replacement into the message source. The swipe the tag was parsed from is always
+ * updated (message.swipes / swipe_info); the visible text only while that swipe is still shown.
+ * `replacement` is a string or a function building it from the tag's current text.
+ * @returns {boolean} false when the tag is no longer in the message (edited out or rewritten)
+ */
 function replaceTagInMessageSource(message, tag, replacement) {
-    if (!message || !tag) return;
+    if (!message || !tag) return false;
+
+    const swipeId = tag.swipeId === undefined ? message.swipe_id : tag.swipeId;
+    const isCurrentSwipe = swipeId === message.swipe_id;
+    let replaced = false;
+    let changed = false;
+    const apply = (text) => {
+        const result = replaceTagInText(text, tag, replacement);
+        replaced = replaced || result.replaced;
+        changed = changed || result.changed;
+        return result.text;
+    };
 
     if (tag.sourceKey === 'extblocks') {
-        if (!message.extra) message.extra = {};
-        message.extra.extblocks = (message.extra.extblocks || '').replace(tag.fullMatch, replacement);
+        if (isCurrentSwipe) {
+            if (!message.extra) message.extra = {};
+            message.extra.extblocks = apply(message.extra.extblocks);
+        }
 
-        const swipeId = message.swipe_id;
         if (swipeId !== undefined && message.swipe_info?.[swipeId]?.extra?.extblocks) {
-            message.swipe_info[swipeId].extra.extblocks =
-                message.swipe_info[swipeId].extra.extblocks.replace(tag.fullMatch, replacement);
+            message.swipe_info[swipeId].extra.extblocks = apply(message.swipe_info[swipeId].extra.extblocks);
         }
 
-        if (message.extra.display_text) {
-            message.extra.display_text = message.extra.display_text.replace(tag.fullMatch, replacement);
+        if (isCurrentSwipe && message.extra.display_text) {
+            message.extra.display_text = replaceTagInText(message.extra.display_text, tag, replacement).text;
+        }
+    } else {
+        if (swipeId !== undefined && Array.isArray(message.swipes) && typeof message.swipes[swipeId] === 'string') {
+            message.swipes[swipeId] = apply(message.swipes[swipeId]);
+        }
+
+        if (!isCurrentSwipe) {
+            iigLog('INFO', `Tag result saved to swipe ${swipeId}, which is not shown right now`);
+        } else {
+            message.mes = apply(message.mes);
+            if (message.extra?.display_text) {
+                message.extra.display_text = replaceTagInText(message.extra.display_text, tag, replacement).text;
+            }
         }
-        return;
     }
 
-    message.mes = (message.mes || '').replace(tag.fullMatch, replacement);
-    if (message.extra?.display_text) {
-        message.extra.display_text = message.extra.display_text.replace(tag.fullMatch, replacement);
+    if (!replaced) {
+        iigLog('WARN', `Tag ${tag.id || tag.fullMatch.substring(0, 50)} not found in message source, nothing replaced`);
+    } else if (changed) {
+        iigLog('WARN', `Tag ${tag.id} was edited while generating, matched it by id`);
     }
+    return replaced;
 }
 
 function extractGeneratedImageUrlsFromText(text) {
@@ -436,7 +817,7 @@ function extractGeneratedImageUrlsFromText(text) {
             src.startsWith('data:') ||
             src.includes('[IMG:') ||
             src.includes('[VID:') ||
-            src.endsWith('/error.svg') ||
+            isErrorImageSrc(src) ||
             seen.has(src)
         ) {
             continue;
@@ -522,7 +903,14 @@ function injectStyleBlock(prompt, styleValue) {
     return `${styleBlock}\n\n${normalizedPrompt}`.trim();
 }
 
-function resolveEffectiveStyle(tagStyle = '', settings = getSettings()) {
+/**
+ * @param {string} styleOverride - a style chosen for one run (chat re-style); wins over the active style
+ */
+function resolveEffectiveStyle(tagStyle = '', settings = getSettings(), styleOverride = '') {
+    const overrideValue = String(styleOverride || '').trim();
+    if (overrideValue) {
+        return overrideValue;
+    }
     const activeStyle = getActiveStyle(settings);
     const extensionStyleValue = String(activeStyle?.value || '').trim();
     const originalStyle = String(tagStyle || '').trim();
@@ -541,8 +929,8 @@ function buildAdditionalReferencesPromptBlock(matchedRefs = []) {
     return `Additional References:\n${items.map((item) => `- ${item}`).join('\n')}`;
 }
 
-function buildFinalGenerationPrompt(prompt, style, matchedAdditionalRefs = [], settings = getSettings()) {
-    const effectiveStyle = resolveEffectiveStyle(style, settings);
+function buildFinalGenerationPrompt(prompt, style, matchedAdditionalRefs = [], settings = getSettings(), styleOverride = '') {
+    const effectiveStyle = resolveEffectiveStyle(style, settings, styleOverride);
     let fullPrompt = injectStyleBlock(prompt, effectiveStyle);
 
     const additionalReferencesBlock = buildAdditionalReferencesPromptBlock(matchedAdditionalRefs);
@@ -733,6 +1121,10 @@ function renderStyleSettings() {
     if (editorContainer) {
         editorContainer.innerHTML = buildStyleEditorHtml(settings);
     }
+    const restyleSelect = document.getElementById('iig_restyle_style');
+    if (restyleSelect) {
+        restyleSelect.innerHTML = buildRestyleStyleOptionsHtml(settings);
+    }
 }
 
 function applyConfiguredStyleToTag(tag, settings = getSettings()) {
@@ -759,7 +1151,62 @@ function buildSettingsSectionHtml(sectionId, title, bodyHtml, expanded = true) {
     `;
 }
 
-function buildApiSettingsSectionHtml(settings = getSettings()) {
+function buildConnectionProfileOptionsHtml() {
+    const settings = getSettings();
+    const activeProfile = getActiveConnectionProfile(settings);
+    return ensureConnectionProfiles(settings).map((profile) => `
+        <option value="${sanitizeForHtml(profile.id)}" ${profile.id === activeProfile.id ? 'selected' : ''}>${sanitizeForHtml(profile.name)}</option>
+    `).join('');
+}
+
+function buildFallbackProfilesListHtml() {
+    const settings = getSettings();
+    const profiles = ensureConnectionProfiles(settings);
+    if (settings.fallbackProfileIds.length === 0) {
+        return '<p class="hint">Цепочка пуста: при ошибке картинка помечается как неудачная.</p>';
+    }
+
+    return settings.fallbackProfileIds.map((profileId, index) => {
+        const profile = profiles.find((item) => item.id === profileId);
+        const isActive = profileId === settings.activeConnectionProfileId;
+        return `
+            <div class="iig-fallback-row">
+                <span class="iig-fallback-name" title="${isActive ? 'Активный профиль пропускается' : ''}">${index + 1}. ${sanitizeForHtml(getConnectionProfileLabel(profile))}${isActive ? ' — активный' : ''}</span>
+                <div class="menu_button" data-fallback-up="${sanitizeForHtml(profileId)}" title="Выше">
+                    <i class="fa-solid fa-arrow-up"></i>
+                </div>
+                <div class="menu_button" data-fallback-remove="${sanitizeForHtml(profileId)}" title="Убрать из цепочки">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function buildFallbackProfileOptionsHtml() {
+    const settings = getSettings();
+    const candidates = ensureConnectionProfiles(settings)
+        .filter((profile) => !settings.fallbackProfileIds.includes(profile.id));
+    if (candidates.length === 0) {
+        return '<option value="">-- Нет профилей --</option>';
+    }
+    return candidates.map((profile) => `
+        <option value="${sanitizeForHtml(profile.id)}">${sanitizeForHtml(getConnectionProfileLabel(profile))}</option>
+    `).join('');
+}
+
+function renderFallbackProfiles() {
+    const list = document.getElementById('iig_fallback_list');
+    if (list) {
+        list.innerHTML = buildFallbackProfilesListHtml();
+    }
+    const select = document.getElementById('iig_fallback_add_select');
+    if (select) {
+        select.innerHTML = buildFallbackProfileOptionsHtml();
+    }
+}
+
+function buildApiSettingsSectionHtml(settings = getConnectionSettings()) {
     const bodyHtml = `
         <div class="iig-settings-card">
             <label class="checkbox_label">
@@ -770,6 +1217,55 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                 <input type="checkbox" id="iig_external_blocks" ${settings.externalBlocks ? 'checked' : ''}>
                 <span>Работа с внешними блоками</span>
             </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="iig_auto_generate_swipe" ${settings.autoGenerateOnSwipe ? 'checked' : ''}>
+                <span>Генерировать при свайпе</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="iig_auto_generate_edit" ${settings.autoGenerateOnEdit ? 'checked' : ''}>
+                <span>Генерировать после редактирования сообщения</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="iig_auto_generate_continue" ${settings.autoGenerateOnContinue ? 'checked' : ''}>
+                <span>Генерировать после «Продолжить»</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="iig_generate_while_streaming" ${settings.generateWhileStreaming ? 'checked' : ''}>
+                <span>Начинать генерацию во время стриминга</span>
+            </label>
+
+            <div class="flex-row">
+                <label for="iig_connection_profile">Профиль</label>
+                <select id="iig_connection_profile" class="flex1">
+                    ${buildConnectionProfileOptionsHtml()}
+                </select>
+                <div class="iig-inline-actions">
+                    <div id="iig_connection_profile_add" class="menu_button" title="Новый профиль (копия текущего)">
+                        <i class="fa-solid fa-plus"></i>
+                    </div>
+                    <div id="iig_connection_profile_remove" class="menu_button" title="Удалить профиль">
+                        <i class="fa-solid fa-trash"></i>
+                    </div>
+                </div>
+            </div>
+
+            <div class="flex-row">
+                <label for="iig_connection_profile_name">Название профиля</label>
+                <input type="text" id="iig_connection_profile_name" class="text_pole flex1" value="${sanitizeForHtml(getActiveConnectionProfile(getSettings()).name)}">
+                <div></div>
+            </div>
+
+            <div class="iig-settings-card-nested" id="iig_fallback_section">
+                <h4>Резервные профили</h4>
+                <p class="hint">Если активный профиль не справился (после всех повторов), генерация по очереди пробует эти профили.</p>
+                <div id="iig_fallback_list" class="iig-style-presets">${buildFallbackProfilesListHtml()}</div>
+                <div class="flex-row">
+                    <select id="iig_fallback_add_select" class="flex1">${buildFallbackProfileOptionsHtml()}</select>
+                    <div id="iig_fallback_add" class="menu_button" title="Добавить в цепочку">
+                        <i class="fa-solid fa-plus"></i>
+                    </div>
+                </div>
+            </div>
 
             <div class="flex-row">
                 <label for="iig_api_type">Тип API</label>
@@ -777,6 +1273,9 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                     <option value="openai" ${settings.apiType === 'openai' ? 'selected' : ''}>OpenAI-совместимый (/v1/images/generations)</option>
                     <option value="gemini" ${settings.apiType === 'gemini' ? 'selected' : ''}>Gemini-совместимый (nano-banana)</option>
                     <option value="naistera" ${settings.apiType === 'naistera' ? 'selected' : ''}>Naistera (naistera.org)</option>
+                    <option value="sdwebui" ${settings.apiType === 'sdwebui' ? 'selected' : ''}>Stable Diffusion WebUI (A1111/Forge)</option>
+                    <option value="comfyui" ${settings.apiType === 'comfyui' ? 'selected' : ''}>ComfyUI (свой workflow)</option>
+                    <option value="custom" ${settings.apiType === 'custom' ? 'selected' : ''}>Свой HTTP API (шаблон запроса)</option>
                 </select>
                 <div></div>
             </div>
@@ -795,9 +1294,19 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                 </div>
             </div>
 
+            <div class="flex-row">
+                <label for="iig_max_concurrency">Одновременных генераций</label>
+                <input type="number" id="iig_max_concurrency" class="text_pole flex1" min="1" max="10" step="1" value="${normalizeMaxConcurrency(settings.maxConcurrency)}">
+                <div></div>
+            </div>
+
             <p id="iig_naistera_hint" class="hint ${settings.apiType === 'naistera' ? '' : 'iig-hidden'}">Для Naistera: вставьте токен из Telegram бота и выберите модель (grok / grok-pro / nano banana 2 / novelai).</p>
+            <p id="iig_sdwebui_hint" class="hint ${settings.apiType === 'sdwebui' ? '' : 'iig-hidden'}">Для SD WebUI: запустите A1111/Forge с флагом --api. Ключ необязателен, для --api-auth укажите user:password. Без выбранной модели используется загруженный чекпоинт.</p>
+            <p id="iig_comfyui_hint" class="hint ${settings.apiType === 'comfyui' ? '' : 'iig-hidden'}">Для ComfyUI: загрузите workflow, экспортированный через "Save (API Format)". В значениях полей нод используйте плейсхолдеры {prompt}, {negative}, {seed}, {width}, {height} и {reference_1}…{reference_${MAX_GENERATION_REFERENCE_IMAGES}} (для LoadImage).</p>
 
-            <div class="flex-row ${settings.apiType === 'naistera' ? 'iig-hidden' : ''}" id="iig_model_row">
+            <p id="iig_custom_hint" class="hint ${settings.apiType === 'custom' ? '' : 'iig-hidden'}">Для своего API: URL эндпоинта — полный адрес, на который уходит POST. В шаблоне тела доступны {{prompt}}, {{aspect_ratio}}, {{references}}, {{seed}}, {{model}} (модель из тега) и {{api_key}}; в заголовках — {{api_key}}.</p>
+
+            <div class="flex-row ${['naistera', 'comfyui', 'custom'].includes(settings.apiType) ? 'iig-hidden' : ''}" id="iig_model_row">
                 <label for="iig_model">Модель</label>
                 <select id="iig_model" class="flex1">
                     ${settings.model ? `<option value="${settings.model}" selected>${settings.model}</option>` : '<option value="">-- Выберите модель --</option>'}
@@ -827,6 +1336,11 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                 <div></div>
             </div>
 
+            <label class="checkbox_label ${settings.apiType !== 'openai' ? 'iig-hidden' : ''}" id="iig_openai_edits_row">
+                <input type="checkbox" id="iig_openai_image_edits" ${settings.openaiImageEdits ? 'checked' : ''}>
+                <span>Отправлять референсы через /v1/images/edits (gpt-image и др.)</span>
+            </label>
+
             <div class="flex-row ${settings.apiType === 'naistera' ? '' : 'iig-hidden'}" id="iig_naistera_model_row">
                 <label for="iig_naistera_model">Модель</label>
                 <select id="iig_naistera_model" class="flex1">
@@ -850,7 +1364,7 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                 <div></div>
             </div>
 
-            <div id="iig_avatar_section" class="iig-settings-card-nested ${settings.apiType !== 'gemini' ? 'hidden' : ''}">
+            <div id="iig_avatar_section" class="iig-settings-card-nested ${!['gemini', 'sdwebui', 'comfyui', 'custom'].includes(settings.apiType) ? 'hidden' : ''}">
                 <div class="flex-row">
                     <label for="iig_aspect_ratio">Соотношение сторон</label>
                     <select id="iig_aspect_ratio" class="flex1">
@@ -892,33 +1406,260 @@ function buildApiSettingsSectionHtml(settings = getSettings()) {
                     </div>
                 </div>
             </div>
-        </div>
-    `;
-    return buildSettingsSectionHtml('iig_api_section', 'Настройки API', bodyHtml, true);
-}
 
-function buildStylesSettingsSectionHtml() {
-    const bodyHtml = `
-        <div class="iig-settings-card">
-            <div class="flex-row">
-                <label for="iig_new_style_name">Новый стиль</label>
-                <input type="text" id="iig_new_style_name" class="text_pole flex1" placeholder="Название стиля">
-                <div id="iig_style_add" class="menu_button" title="Добавить стиль">
-                    <i class="fa-solid fa-plus"></i>
+            <div class="iig-settings-card-nested ${settings.apiType === 'sdwebui' ? '' : 'iig-hidden'}" id="iig_sdwebui_section">
+                <h4>Stable Diffusion WebUI</h4>
+                <div class="flex-row">
+                    <label for="iig_sd_sampler">Сэмплер</label>
+                    <input type="text" id="iig_sd_sampler" class="text_pole flex1" value="${sanitizeForHtml(settings.sdSampler)}" placeholder="Euler a">
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_sd_steps">Шаги</label>
+                    <input type="number" id="iig_sd_steps" class="text_pole flex1" min="1" max="150" step="1" value="${normalizeSdWebUiSteps(settings.sdSteps)}">
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_sd_cfg_scale">CFG Scale</label>
+                    <input type="number" id="iig_sd_cfg_scale" class="text_pole flex1" min="1" max="30" step="0.5" value="${normalizeSdWebUiCfgScale(settings.sdCfgScale)}">
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_sd_negative_prompt">Негативный промпт</label>
+                    <textarea id="iig_sd_negative_prompt" class="text_pole flex1 iig-settings-textarea" rows="2" placeholder="lowres, bad anatomy, watermark">${sanitizeForHtml(settings.sdNegativePrompt)}</textarea>
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_sd_reference_mode">Референсы</label>
+                    <select id="iig_sd_reference_mode" class="flex1">
+                        <option value="img2img" ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'img2img' ? 'selected' : ''}>img2img (первый референс)</option>
+                        <option value="controlnet" ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'controlnet' ? 'selected' : ''}>ControlNet (все референсы)</option>
+                        <option value="off" ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'off' ? 'selected' : ''}>Не отправлять</option>
+                    </select>
+                    <div></div>
+                </div>
+                <div class="flex-row ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'img2img' ? '' : 'iig-hidden'}" id="iig_sd_denoising_row">
+                    <label for="iig_sd_denoising_strength">Denoising strength</label>
+                    <input type="number" id="iig_sd_denoising_strength" class="text_pole flex1" min="0" max="1" step="0.05" value="${normalizeSdWebUiDenoisingStrength(settings.sdDenoisingStrength)}">
+                    <div></div>
+                </div>
+                <div class="flex-row ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'controlnet' ? '' : 'iig-hidden'}" id="iig_sd_controlnet_module_row">
+                    <label for="iig_sd_controlnet_module">ControlNet модуль</label>
+                    <input type="text" id="iig_sd_controlnet_module" class="text_pole flex1" value="${sanitizeForHtml(settings.sdControlNetModule)}" placeholder="reference_only">
+                    <div></div>
+                </div>
+                <div class="flex-row ${normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'controlnet' ? '' : 'iig-hidden'}" id="iig_sd_controlnet_model_row">
+                    <label for="iig_sd_controlnet_model">ControlNet модель</label>
+                    <input type="text" id="iig_sd_controlnet_model" class="text_pole flex1" value="${sanitizeForHtml(settings.sdControlNetModel)}" placeholder="None">
+                    <div></div>
                 </div>
             </div>
-            <div id="iig_style_presets" class="iig-style-presets"></div>
-            <div id="iig_style_editor"></div>
-        </div>
-    `;
-    return buildSettingsSectionHtml('iig_styles_section', 'Стили', bodyHtml, false);
-}
 
-function buildReferencesSettingsSectionHtml(settings = getSettings()) {
-    const geminiUserAvatarDropdown = buildUserAvatarDropdownControl('iig_user_avatar', settings.userAvatarFile);
-    const naisteraUserAvatarDropdown = buildUserAvatarDropdownControl('iig_naistera_user_avatar', settings.userAvatarFile);
+            <div class="iig-settings-card-nested ${settings.apiType === 'comfyui' ? '' : 'iig-hidden'}" id="iig_comfyui_section">
+                <h4>ComfyUI</h4>
+                <div class="flex-row">
+                    <label>Workflow</label>
+                    <div id="iig_comfy_workflow_status" class="hint flex1">${sanitizeForHtml(describeComfyWorkflow(settings))}</div>
+                    <div class="iig-inline-actions">
+                        <label class="menu_button" title="Загрузить workflow (API format JSON)">
+                            <i class="fa-solid fa-upload"></i>
+                            <input type="file" id="iig_comfy_workflow_file" accept=".json,application/json" style="display:none">
+                        </label>
+                        <div id="iig_comfy_workflow_clear" class="menu_button" title="Удалить workflow">
+                            <i class="fa-solid fa-trash"></i>
+                        </div>
+                    </div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_comfy_negative_prompt">Негативный промпт</label>
+                    <textarea id="iig_comfy_negative_prompt" class="text_pole flex1 iig-settings-textarea" rows="2" placeholder="Подставляется в {negative}">${sanitizeForHtml(settings.comfyNegativePrompt)}</textarea>
+                    <div></div>
+                </div>
+            </div>
 
-    const bodyHtml = `
+            <div class="iig-settings-card-nested ${settings.apiType === 'custom' ? '' : 'iig-hidden'}" id="iig_custom_section">
+                <h4>Свой HTTP API</h4>
+                <div class="flex-row">
+                    <label for="iig_custom_body_template">Тело запроса (JSON)</label>
+                    <textarea id="iig_custom_body_template" class="text_pole flex1 iig-settings-textarea" rows="5" placeholder='{"prompt": "{{prompt}}", "aspect_ratio": "{{aspect_ratio}}", "seed": "{{seed}}", "images": "{{references}}"}'>${sanitizeForHtml(settings.customBodyTemplate)}</textarea>
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_custom_headers">Заголовки</label>
+                    <textarea id="iig_custom_headers" class="text_pole flex1 iig-settings-textarea" rows="2" placeholder="Authorization: Bearer {{api_key}}">${sanitizeForHtml(settings.customHeaders)}</textarea>
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_custom_image_path">Путь к картинке</label>
+                    <input type="text" id="iig_custom_image_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customImagePath)}" placeholder="$.data[0].b64_json">
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_custom_reference_format">Формат референсов</label>
+                    <select id="iig_custom_reference_format" class="flex1">
+                        <option value="dataUrl" ${normalizeCustomReferenceFormat(settings.customReferenceFormat) === 'dataUrl' ? 'selected' : ''}>Data URL (data:image/...;base64,...)</option>
+                        <option value="base64" ${normalizeCustomReferenceFormat(settings.customReferenceFormat) === 'base64' ? 'selected' : ''}>Чистый base64</option>
+                    </select>
+                    <div></div>
+                </div>
+                <p class="hint">Картинка в ответе может быть base64, data URL или ссылкой.</p>
+            </div>
+
+            <div class="iig-settings-card-nested ${ASYNC_JOB_PROVIDERS.includes(settings.apiType) ? '' : 'iig-hidden'}" id="iig_async_section">
+                <h4>Асинхронные задачи</h4>
+                <label class="checkbox_label">
+                    <input type="checkbox" id="iig_custom_async" ${settings.customAsync ? 'checked' : ''}>
+                    <span>Асинхронный режим (задача + опрос статуса)</span>
+                </label>
+                <div id="iig_custom_async_section" class="${settings.customAsync ? '' : 'iig-hidden'}">
+                    <div class="flex-row">
+                        <label for="iig_custom_job_id_path">Путь к id задачи</label>
+                        <input type="text" id="iig_custom_job_id_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customJobIdPath)}" placeholder="$.id">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_status_url">URL статуса</label>
+                        <input type="text" id="iig_custom_status_url" class="text_pole flex1" value="${sanitizeForHtml(settings.customStatusUrl)}" placeholder="https://api.example.com/v1/jobs/{{job_id}}">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_status_path">Путь к статусу</label>
+                        <input type="text" id="iig_custom_status_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customStatusPath)}" placeholder="$.status">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_success_values">Статусы успеха</label>
+                        <input type="text" id="iig_custom_success_values" class="text_pole flex1" value="${sanitizeForHtml(settings.customSuccessValues)}" placeholder="succeeded, completed">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_failure_values">Статусы ошибки</label>
+                        <input type="text" id="iig_custom_failure_values" class="text_pole flex1" value="${sanitizeForHtml(settings.customFailureValues)}" placeholder="failed, canceled">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_progress_path">Путь к прогрессу</label>
+                        <input type="text" id="iig_custom_progress_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customProgressPath)}" placeholder="$.progress (необязательно)">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_queue_position_path">Путь к позиции в очереди</label>
+                        <input type="text" id="iig_custom_queue_position_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customQueuePositionPath)}" placeholder="$.queue_position (необязательно)">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_poll_interval">Интервал опроса, с</label>
+                        <input type="number" id="iig_custom_poll_interval" class="text_pole flex1" min="0.5" max="60" step="0.5" value="${normalizeCustomPollInterval(settings.customPollIntervalSec)}">
+                        <div></div>
+                    </div>
+                    <div class="flex-row">
+                        <label for="iig_custom_poll_timeout">Таймаут, с</label>
+                        <input type="number" id="iig_custom_poll_timeout" class="text_pole flex1" min="10" max="3600" step="10" value="${normalizeCustomPollTimeout(settings.customPollTimeoutSec)}">
+                        <div></div>
+                    </div>
+                    <div class="flex-row ${settings.apiType === 'custom' ? 'iig-hidden' : ''}" id="iig_custom_result_path_row">
+                        <label for="iig_custom_result_path">Путь к результату</label>
+                        <input type="text" id="iig_custom_result_path" class="text_pole flex1" value="${sanitizeForHtml(settings.customResultPath)}" placeholder="$.result (необязательно)">
+                        <div></div>
+                    </div>
+                    <p class="hint ${settings.apiType === 'custom' ? '' : 'iig-hidden'}" id="iig_custom_async_hint">В асинхронном режиме «Путь к картинке» применяется к ответу статуса после успеха.</p>
+                    <p class="hint ${settings.apiType === 'custom' ? 'iig-hidden' : ''}" id="iig_provider_async_hint">Ответ статуса после успеха (или его часть по «Пути к результату») разбирается как обычный ответ провайдера.</p>
+                </div>
+            </div>
+        </div>
+    `;
+    return buildSettingsSectionHtml('iig_api_section', 'Настройки API', bodyHtml, true);
+}
+
+function buildStylesSettingsSectionHtml() {
+    const bodyHtml = `
+        <div class="iig-settings-card">
+            <div class="flex-row">
+                <label for="iig_new_style_name">Новый стиль</label>
+                <input type="text" id="iig_new_style_name" class="text_pole flex1" placeholder="Название стиля">
+                <div id="iig_style_add" class="menu_button" title="Добавить стиль">
+                    <i class="fa-solid fa-plus"></i>
+                </div>
+            </div>
+            <div id="iig_style_presets" class="iig-style-presets"></div>
+            <div id="iig_style_editor"></div>
+        </div>
+    `;
+    return buildSettingsSectionHtml('iig_styles_section', 'Стили', bodyHtml, false);
+}
+
+// Avatar reference cards for providers added after Gemini/Naistera share one layout;
+// ids are derived from the prefix, settings keys are provider-specific.
+const AVATAR_REFERENCE_CARDS = Object.freeze([
+    Object.freeze({
+        apiType: 'openai',
+        prefix: 'iig_openai',
+        title: 'OpenAI (/v1/images/edits)',
+        charKey: 'openaiSendCharAvatar',
+        userKey: 'openaiSendUserAvatar',
+    }),
+    Object.freeze({
+        apiType: 'sdwebui',
+        prefix: 'iig_sd',
+        title: 'Stable Diffusion WebUI',
+        charKey: 'sdSendCharAvatar',
+        userKey: 'sdSendUserAvatar',
+    }),
+    Object.freeze({
+        apiType: 'comfyui',
+        prefix: 'iig_comfy',
+        title: 'ComfyUI',
+        charKey: 'comfySendCharAvatar',
+        userKey: 'comfySendUserAvatar',
+    }),
+    Object.freeze({
+        apiType: 'custom',
+        prefix: 'iig_custom',
+        title: 'Свой HTTP API',
+        charKey: 'customSendCharAvatar',
+        userKey: 'customSendUserAvatar',
+    }),
+]);
+
+function isAvatarReferencesCardVisible(card, settings = getConnectionSettings()) {
+    return settings.apiType === card.apiType && Boolean(getProviderReferenceConfig(settings));
+}
+
+function buildAvatarReferencesCardHtml(card, settings = getConnectionSettings()) {
+    const sendUserAvatar = Boolean(settings[card.userKey]);
+    const userAvatarDropdown = buildUserAvatarDropdownControl(`${card.prefix}_user_avatar`, settings.userAvatarFile);
+
+    return `
+        <div class="iig-settings-card-nested ${isAvatarReferencesCardVisible(card, settings) ? '' : 'iig-hidden'}" id="${card.prefix}_refs_section">
+            <h4>${card.title}</h4>
+            <label class="checkbox_label">
+                <input type="checkbox" id="${card.prefix}_send_char_avatar" ${settings[card.charKey] ? 'checked' : ''}>
+                <span>Отправлять аватар {{char}}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="${card.prefix}_send_user_avatar" ${sendUserAvatar ? 'checked' : ''}>
+                <span>Отправлять аватар {{user}}</span>
+            </label>
+            <label id="${card.prefix}_use_active_persona_avatar_row" class="checkbox_label ${!sendUserAvatar ? 'iig-hidden' : ''}">
+                <input type="checkbox" id="${card.prefix}_use_active_persona_avatar" ${settings.useActiveUserPersonaAvatar ? 'checked' : ''}>
+                <span>Брать аватар из активной персоны {{user}}</span>
+            </label>
+            <div id="${card.prefix}_user_avatar_row" class="flex-row ${!sendUserAvatar || settings.useActiveUserPersonaAvatar ? 'iig-hidden' : ''}">
+                <label>Аватар {{user}}</label>
+                ${userAvatarDropdown}
+                <div id="${card.prefix}_refresh_avatars" class="menu_button iig-refresh-btn" title="Обновить список">
+                    <i class="fa-solid fa-sync"></i>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function buildReferencesSettingsSectionHtml(settings = getConnectionSettings()) {
+    const geminiUserAvatarDropdown = buildUserAvatarDropdownControl('iig_user_avatar', settings.userAvatarFile);
+    const naisteraUserAvatarDropdown = buildUserAvatarDropdownControl('iig_naistera_user_avatar', settings.userAvatarFile);
+
+    const bodyHtml = `
         <div class="iig-settings-card">
             <div id="iig_avatar_refs_section" class="iig-settings-card-nested ${settings.apiType !== 'gemini' ? 'hidden' : ''}">
                 <h4>Gemini / nano-banana</h4>
@@ -966,7 +1707,9 @@ function buildReferencesSettingsSectionHtml(settings = getSettings()) {
                 </div>
             </div>
 
-            <div class="iig-settings-card-nested ${((settings.apiType === 'gemini') || (settings.apiType === 'naistera' && naisteraModelSupportsReferences(settings.naisteraModel))) ? '' : 'iig-hidden'}" id="iig_image_context_section">
+            ${AVATAR_REFERENCE_CARDS.map((card) => buildAvatarReferencesCardHtml(card, settings)).join('')}
+
+            <div class="iig-settings-card-nested ${getProviderReferenceConfig(settings) ? '' : 'iig-hidden'}" id="iig_image_context_section">
                 <h4>Контекст картинок</h4>
                 <label class="checkbox_label">
                     <input type="checkbox" id="iig_image_context_enabled" ${settings.imageContextEnabled ? 'checked' : ''}>
@@ -981,7 +1724,7 @@ function buildReferencesSettingsSectionHtml(settings = getSettings()) {
                 </div>
             </div>
 
-            <div class="iig-settings-card-nested ${((settings.apiType === 'gemini') || (settings.apiType === 'naistera' && naisteraModelSupportsReferences(settings.naisteraModel))) ? '' : 'iig-hidden'}" id="iig_additional_refs_section">
+            <div class="iig-settings-card-nested ${getProviderReferenceConfig(settings) ? '' : 'iig-hidden'}" id="iig_additional_refs_section">
                 <h4>Дополнительные референсы</h4>
                 <div class="iig-additional-ref-actions">
                     <div id="iig_additional_refs_add" class="menu_button iig-button-inline">
@@ -999,6 +1742,54 @@ function buildReferencesSettingsSectionHtml(settings = getSettings()) {
     return buildSettingsSectionHtml('iig_references_section', 'Референсы', bodyHtml, true);
 }
 
+function buildRestyleStyleOptionsHtml(settings = getSettings()) {
+    const styles = ensureStyles(settings);
+    if (styles.length === 0) {
+        return '<option value="">Нет стилей</option>';
+    }
+    return styles.map((style) => `
+        <option value="${style.id}" ${style.id === settings.activeStyleId ? 'selected' : ''}>${sanitizeForHtml(style.name)}</option>
+    `).join('');
+}
+
+function buildChatActionsSectionHtml() {
+    const buttonsHtml = Object.entries(CHAT_BULK_ACTIONS).map(([kind, action]) => `
+                <div class="menu_button iig-button-inline" data-iig-chat-action="${kind}">${action.label}</div>`).join('');
+    const bodyHtml = `
+        <div class="iig-settings-card">
+            <p class="hint">Действия со всеми картинками открытого чата. Прогресс, пауза и остановка — в панели внизу экрана.</p>
+            <div class="iig-chat-actions">${buttonsHtml}
+            </div>
+            <div class="iig-settings-card-nested">
+                <h4>Перерисовать в другом стиле</h4>
+                <div class="flex-row">
+                    <label for="iig_restyle_style">Стиль</label>
+                    <select id="iig_restyle_style" class="flex1">
+                        ${buildRestyleStyleOptionsHtml()}
+                    </select>
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_restyle_from">С сообщения</label>
+                    <input type="number" id="iig_restyle_from" class="text_pole flex1" min="0" placeholder="0">
+                    <div></div>
+                </div>
+                <div class="flex-row">
+                    <label for="iig_restyle_to">По сообщение</label>
+                    <input type="number" id="iig_restyle_to" class="text_pole flex1" min="0" placeholder="последнее">
+                    <div></div>
+                </div>
+                <div class="iig-chat-actions">
+                    <div id="iig_restyle_run" class="menu_button iig-button-inline">
+                        <i class="fa-solid fa-paintbrush"></i> Перерисовать
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    return buildSettingsSectionHtml('iig_chat_actions_section', 'Весь чат', bodyHtml, false);
+}
+
 function buildDebugSettingsSectionHtml(settings = getSettings()) {
     const bodyHtml = `
         <div class="iig-settings-card">
@@ -1051,6 +1842,227 @@ function buildReferenceImportModalHtml() {
     `;
 }
 
+const INSTRUCTION_EDIT_FIELDS = Object.freeze([
+    { key: 'style', tagKey: 'style', label: 'Стиль', placeholder: 'anime' },
+    { key: 'aspect_ratio', tagKey: 'aspectRatio', label: 'Соотношение сторон', placeholder: '16:9' },
+    { key: 'image_size', tagKey: 'imageSize', label: 'Разрешение', placeholder: '1K, 2K, 4K' },
+    { key: 'quality', tagKey: 'quality', label: 'Качество', placeholder: 'standard, hd' },
+    { key: 'preset', tagKey: 'preset', label: 'Пресет', placeholder: 'Пресет Naistera' },
+]);
+
+let instructionEditTarget = null;
+
+function buildInstructionEditModalHtml() {
+    const fieldsHtml = INSTRUCTION_EDIT_FIELDS.map((field) => `
+                <div class="iig-modal-field">
+                    <label for="iig_instruction_edit_${field.key}">${field.label}</label>
+                    <input type="text" id="iig_instruction_edit_${field.key}" class="text_pole" placeholder="${field.placeholder}">
+                </div>`).join('');
+
+    return `
+        <div id="iig_instruction_edit_modal" class="iig-modal iig-hidden" aria-hidden="true">
+            <div class="iig-modal-backdrop" data-iig-modal-close="true"></div>
+            <div class="iig-modal-card" role="dialog" aria-modal="true" aria-labelledby="iig_instruction_edit_title">
+                <div class="iig-modal-header">
+                    <h4 id="iig_instruction_edit_title">Инструкция картинки</h4>
+                    <div id="iig_instruction_edit_close" class="menu_button" title="Закрыть">
+                        <i class="fa-solid fa-xmark"></i>
+                    </div>
+                </div>
+                <div class="iig-modal-field">
+                    <label for="iig_instruction_edit_prompt">Промпт</label>
+                    <textarea id="iig_instruction_edit_prompt" class="text_pole iig-modal-textarea" rows="6"></textarea>
+                </div>
+                ${fieldsHtml}
+                <div class="iig-modal-actions">
+                    <div id="iig_instruction_edit_submit" class="menu_button iig-button-inline">
+                        <i class="fa-solid fa-rotate"></i> Сохранить и перегенерировать
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+async function findMessageTagById(message, tagId) {
+    const tags = await parseMessageImageTags(message, { forceAll: true });
+    return tags.find(tag => tag.id === tagId) || null;
+}
+
+async function openInstructionEditModal(messageId, tagId) {
+    const modal = document.getElementById('iig_instruction_edit_modal');
+    const promptInput = document.getElementById('iig_instruction_edit_prompt');
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!modal || !promptInput || !message) {
+        return;
+    }
+
+    const tag = await findMessageTagById(message, tagId);
+    if (!tag) {
+        toastr.warning('Тег картинки не найден в сообщении', 'Генерация картинок');
+        return;
+    }
+
+    instructionEditTarget = { messageId, tagId };
+    promptInput.value = tag.prompt || '';
+    for (const field of INSTRUCTION_EDIT_FIELDS) {
+        const input = document.getElementById(`iig_instruction_edit_${field.key}`);
+        if (input) {
+            input.value = tag[field.tagKey] || '';
+        }
+    }
+
+    modal.classList.remove('iig-hidden');
+    modal.setAttribute('aria-hidden', 'false');
+    setTimeout(() => promptInput.focus(), 0);
+}
+
+function closeInstructionEditModal() {
+    const modal = document.getElementById('iig_instruction_edit_modal');
+    if (!modal) {
+        return;
+    }
+
+    instructionEditTarget = null;
+    modal.classList.add('iig-hidden');
+    modal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Write the edited fields back into the tag's data-iig-instruction and regenerate it
+ */
+async function submitInstructionEdit() {
+    const target = instructionEditTarget;
+    if (!target) {
+        return;
+    }
+
+    const context = SillyTavern.getContext();
+    const message = context.chat[target.messageId];
+    const tag = message ? await findMessageTagById(message, target.tagId) : null;
+    if (!tag) {
+        throw new Error('Тег картинки не найден в сообщении');
+    }
+
+    const prompt = String(document.getElementById('iig_instruction_edit_prompt')?.value || '').trim();
+    if (!prompt) {
+        throw new Error('Промпт не может быть пустым');
+    }
+
+    const editedTag = { ...tag, prompt };
+    for (const field of INSTRUCTION_EDIT_FIELDS) {
+        const value = String(document.getElementById(`iig_instruction_edit_${field.key}`)?.value || '').trim();
+        editedTag[field.tagKey] = value || null;
+    }
+    editedTag.style = editedTag.style || '';
+
+    const updatedMatch = buildTagWithInstruction(editedTag);
+    if (!updatedMatch) {
+        throw new Error('Не удалось обновить инструкцию тега');
+    }
+
+    replaceTagInMessageSource(message, tag, updatedMatch);
+    await context.saveChat();
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${target.messageId}"] .mes_text`);
+    rerenderMessageHtml(context, message, getSettings(), target.messageId, mesTextEl);
+    closeInstructionEditModal();
+    iigLog('INFO', `Instruction of tag ${target.tagId} edited, regenerating`);
+
+    await regenerateMessageImages(target.messageId, { tagIds: [target.tagId] });
+}
+
+let errorDetailsTarget = null;
+
+function buildErrorDetailsModalHtml() {
+    return `
+        <div id="iig_error_details_modal" class="iig-modal iig-hidden" aria-hidden="true">
+            <div class="iig-modal-backdrop" data-iig-modal-close="true"></div>
+            <div class="iig-modal-card" role="dialog" aria-modal="true" aria-labelledby="iig_error_details_title">
+                <div class="iig-modal-header">
+                    <h4 id="iig_error_details_title">Ошибка генерации</h4>
+                    <div id="iig_error_details_close" class="menu_button" title="Закрыть">
+                        <i class="fa-solid fa-xmark"></i>
+                    </div>
+                </div>
+                <div id="iig_error_details_body" class="iig-error-details"></div>
+                <div class="iig-modal-actions">
+                    <div id="iig_error_details_retry" class="menu_button iig-button-inline">
+                        <i class="fa-solid fa-rotate"></i> Повторить эту картинку
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function buildErrorDetailsRowsHtml(rows) {
+    return rows
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `
+            <div class="iig-error-details-row">
+                <span class="iig-error-details-label">${sanitizeForHtml(label)}</span>
+                <span class="iig-error-details-value">${sanitizeForHtml(String(value))}</span>
+            </div>`)
+        .join('');
+}
+
+function buildErrorDetailsHtml(details) {
+    if (!details) {
+        return '<div class="iig-error-details-empty">Подробности недоступны: ошибка произошла до обновления расширения.</div>';
+    }
+
+    const request = details.request || {};
+    const requestRows = buildErrorDetailsRowsHtml([
+        ['API', request.apiType],
+        ['Адрес', request.endpoint],
+        ['Модель', request.model],
+        ['Стиль', request.style],
+        ['Промпт', request.prompt],
+        ['Соотношение сторон', request.aspectRatio],
+        ['Разрешение', request.imageSize],
+        ['Качество', request.quality],
+        ['Референсов', request.references],
+    ]);
+
+    return `
+        <div class="iig-error-details-message">${sanitizeForHtml(details.message || 'Неизвестная ошибка')}</div>
+        ${buildErrorDetailsRowsHtml([
+            ['HTTP-статус', details.status],
+            ['Код', details.code],
+            ['Провайдер', details.provider],
+            ['Время', details.time ? new Date(details.time).toLocaleString() : ''],
+        ])}
+        ${requestRows ? `<h5>Запрос</h5>${requestRows}` : ''}
+    `;
+}
+
+function openErrorDetailsModal(messageId, tagId, fallbackMessage = '') {
+    const modal = document.getElementById('iig_error_details_modal');
+    const body = document.getElementById('iig_error_details_body');
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!modal || !body || !message) {
+        return;
+    }
+
+    const details = getTagError(message, tagId)
+        || (fallbackMessage ? { message: fallbackMessage } : null);
+    errorDetailsTarget = { messageId, tagId };
+    body.innerHTML = buildErrorDetailsHtml(details);
+    modal.classList.remove('iig-hidden');
+    modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeErrorDetailsModal() {
+    const modal = document.getElementById('iig_error_details_modal');
+    if (!modal) {
+        return;
+    }
+
+    errorDetailsTarget = null;
+    modal.classList.add('iig-hidden');
+    modal.setAttribute('aria-hidden', 'true');
+}
+
 function normalizeReferenceUrlList(rawValue) {
     return String(rawValue || '')
         .split(/\r?\n+/)
@@ -1191,8 +2203,7 @@ function getPreviousGeneratedImageUrls(messageId, requestedCount) {
     return urls;
 }
 
-async function collectPreviousContextReferences(messageId, format, requestedCount) {
-    const urls = getPreviousGeneratedImageUrls(messageId, requestedCount);
+async function collectPreviousContextReferences(urls, format) {
     if (urls.length === 0) {
         return [];
     }
@@ -1206,22 +2217,23 @@ async function collectPreviousContextReferences(messageId, format, requestedCoun
  * Fetch models list from endpoint
  */
 async function fetchModels() {
-    const settings = getSettings();
+    const settings = getConnectionSettings();
     const endpoint = getEffectiveEndpoint(settings);
+    const isSdWebUi = settings.apiType === 'sdwebui';
     
-    if (!endpoint || !settings.apiKey) {
+    if (!endpoint || (!settings.apiKey && !isSdWebUi)) {
         console.warn('[IIG] Cannot fetch models: endpoint or API key not set');
         return [];
     }
     
-    const url = `${endpoint}/v1/models`;
+    const url = isSdWebUi ? `${endpoint}/sdapi/v1/sd-models` : `${endpoint}/v1/models`;
     
     try {
         const response = await fetch(url, {
             method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${settings.apiKey}`
-            }
+            headers: isSdWebUi
+                ? buildSdWebUiHeaders(settings.apiKey)
+                : { 'Authorization': `Bearer ${settings.apiKey}` }
         });
         
         if (!response.ok) {
@@ -1229,6 +2241,14 @@ async function fetchModels() {
         }
         
         const data = await response.json();
+
+        // SD WebUI returns checkpoints: [{ title, model_name, ... }]
+        if (isSdWebUi) {
+            return (Array.isArray(data) ? data : [])
+                .map(m => String(m?.title || m?.model_name || '').trim())
+                .filter(Boolean);
+        }
+
         const models = data.data || [];
         
         // Filter for image models only
@@ -1295,6 +2315,12 @@ function getUserAvatarDropdownConfigs() {
             listId: 'iig_naistera_user_avatar_dropdown_list',
             refreshId: 'iig_naistera_refresh_avatars',
         },
+        ...AVATAR_REFERENCE_CARDS.map((card) => ({
+            rootId: `${card.prefix}_user_avatar_dropdown`,
+            selectedId: `${card.prefix}_user_avatar_dropdown_selected`,
+            listId: `${card.prefix}_user_avatar_dropdown_list`,
+            refreshId: `${card.prefix}_refresh_avatars`,
+        })),
     ].filter((config) => document.getElementById(config.selectedId));
 }
 
@@ -1339,7 +2365,11 @@ function renderUserAvatarDropdownList(listElement, avatars, selectedAvatar) {
 }
 
 function getActivePersonaAvatarCheckboxes() {
-    return ['iig_use_active_persona_avatar', 'iig_naistera_use_active_persona_avatar']
+    return [
+        'iig_use_active_persona_avatar',
+        'iig_naistera_use_active_persona_avatar',
+        ...AVATAR_REFERENCE_CARDS.map((card) => `${card.prefix}_use_active_persona_avatar`),
+    ]
         .map((id) => document.getElementById(id))
         .filter(Boolean);
 }
@@ -1583,7 +2613,10 @@ async function convertDataUrlToPng(dataUrl) {
     });
 }
 
-async function saveImageToFile(dataUrl, debugMeta = {}) {
+/**
+ * @param {string} characterName - subfolder owner; defaults to the open character
+ */
+async function saveImageToFile(dataUrl, debugMeta = {}, characterName = '') {
     const context = SillyTavern.getContext();
 
     let parsed;
@@ -1614,8 +2647,8 @@ async function saveImageToFile(dataUrl, debugMeta = {}) {
     );
     
     // Get character name for subfolder
-    let charName = 'generated';
-    if (context.characterId !== undefined && context.characters?.[context.characterId]) {
+    let charName = characterName || 'generated';
+    if (!characterName && context.characterId !== undefined && context.characters?.[context.characterId]) {
         charName = context.characters[context.characterId].name || 'generated';
     }
     
@@ -1695,74 +2728,25 @@ async function saveNaisteraMediaToFile(dataUrl, mediaKind = 'video', debugMeta =
 }
 
 /**
- * Get character avatar as base64
+ * Full-resolution avatar URL of the open character, null without one
  */
-async function getCharacterAvatarBase64() {
-    try {
-        const context = SillyTavern.getContext();
-        
-        console.log('[IIG] Getting character avatar, characterId:', context.characterId);
-        
-        if (context.characterId === undefined || context.characterId === null) {
-            console.log('[IIG] No character selected');
-            return null;
-        }
-        
-        // Try context method first
-        if (typeof context.getCharacterAvatar === 'function') {
-            const avatarUrl = context.getCharacterAvatar(context.characterId);
-            console.log('[IIG] getCharacterAvatar returned:', avatarUrl);
-            if (avatarUrl) {
-                return await imageUrlToBase64(avatarUrl);
-            }
-        }
-        
-        // Fallback: try to get from characters array
-        const character = context.characters?.[context.characterId];
-        console.log('[IIG] Character from array:', character?.name, 'avatar:', character?.avatar);
-        if (character?.avatar) {
-            const avatarUrl = `/characters/${encodeURIComponent(character.avatar)}`;
-            console.log('[IIG] Found character avatar:', avatarUrl);
-            return await imageUrlToBase64(avatarUrl);
-        }
-        
-        console.log('[IIG] Could not get character avatar');
-        return null;
-    } catch (error) {
-        console.error('[IIG] Error getting character avatar:', error);
+function getCharacterAvatarUrl() {
+    const context = SillyTavern.getContext();
+    if (context.characterId === undefined || context.characterId === null) {
         return null;
     }
-}
-
-/**
- * Get character avatar as data URL (for Naistera references)
- */
-async function getCharacterAvatarDataUrl() {
-    try {
-        const context = SillyTavern.getContext();
-
-        if (context.characterId === undefined || context.characterId === null) {
-            return null;
-        }
-
-        if (typeof context.getCharacterAvatar === 'function') {
-            const avatarUrl = context.getCharacterAvatar(context.characterId);
-            if (avatarUrl) {
-                return await imageUrlToDataUrl(avatarUrl);
-            }
-        }
 
-        const character = context.characters?.[context.characterId];
-        if (character?.avatar) {
-            const avatarUrl = `/characters/${encodeURIComponent(character.avatar)}`;
-            return await imageUrlToDataUrl(avatarUrl);
+    // Try context method first
+    if (typeof context.getCharacterAvatar === 'function') {
+        const avatarUrl = context.getCharacterAvatar(context.characterId);
+        if (avatarUrl) {
+            return avatarUrl;
         }
-
-        return null;
-    } catch (error) {
-        console.error('[IIG] Error getting character avatar data URL:', error);
-        return null;
     }
+
+    // Fallback: try to get from characters array
+    const character = context.characters?.[context.characterId];
+    return character?.avatar ? `/characters/${encodeURIComponent(character.avatar)}` : null;
 }
 
 /**
@@ -1813,68 +2797,66 @@ async function getSelectedUserAvatarUrl() {
 }
 
 /**
- * Get user avatar as base64 (full resolution, not thumbnail)
+ * Pull a machine-readable error code out of a provider error body (OpenAI, Gemini and most proxies).
  */
-async function getUserAvatarBase64() {
-    try {
-        const avatarUrl = await getSelectedUserAvatarUrl();
-        if (!avatarUrl) {
-            return null;
-        }
-        return await imageUrlToBase64(avatarUrl);
-    } catch (error) {
-        console.error('[IIG] Error getting user avatar:', error);
-        return null;
-    }
+function extractProviderErrorCode(payload) {
+    const error = payload?.error && typeof payload.error === 'object' ? payload.error : payload;
+    const code = error?.code ?? error?.status ?? error?.type ?? payload?.code ?? '';
+    return String(code || '').trim();
 }
 
 /**
- * Generate image via OpenAI-compatible endpoint
+ * Retry-After is either delta-seconds or an HTTP date; Gemini also puts RetryInfo.retryDelay ("30s") in the body.
  */
-async function generateImageOpenAI(prompt, style, referenceImages = [], options = {}) {
-    const settings = getSettings();
-    const url = `${settings.endpoint.replace(/\/$/, '')}/v1/images/generations`;
-    
-    const fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings);
-    
-    // Map aspect ratio to size if provided in tag
-    let size = settings.size;
-    if (options.aspectRatio) {
-        if (options.aspectRatio === '16:9') size = '1792x1024';
-        else if (options.aspectRatio === '9:16') size = '1024x1792';
-        else if (options.aspectRatio === '1:1') size = '1024x1024';
-    }
-    
-    const body = {
-        model: settings.model,
-        prompt: fullPrompt,
-        n: 1,
-        size: size,
-        quality: options.quality || settings.quality,
-        response_format: 'b64_json'
-    };
-    
-    // Add reference image if supported (for models like GPT-Image-1, FLUX)
-    if (referenceImages.length > 0) {
-        body.image = `data:image/png;base64,${referenceImages[0]}`;
+function parseRetryAfterMs(headerValue, payload) {
+    const raw = String(headerValue || '').trim();
+    if (raw) {
+        const seconds = Number(raw);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(raw);
+        if (Number.isFinite(date)) {
+            return Math.max(0, date - Date.now());
+        }
     }
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${settings.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-    });
-    
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
+
+    const details = Array.isArray(payload?.error?.details) ? payload.error.details : [];
+    const retryDelay = details.find((detail) => typeof detail?.retryDelay === 'string')?.retryDelay;
+    const match = String(retryDelay || '').match(/^(\d+(?:\.\d+)?)s$/);
+    return match ? Number(match[1]) * 1000 : null;
+}
+
+/**
+ * Build the error for a failed provider response. Besides the message it carries
+ * `status` (HTTP status), `code` (provider error code) and `retryAfterMs` for the retry scheduler.
+ */
+async function createApiError(response, prefix = 'API Error') {
+    const text = await response.text().catch(() => '');
+    let payload = null;
+    try {
+        payload = JSON.parse(text);
+    } catch (parseError) {
+        // Plain-text error body
     }
-    
-    const result = await response.json();
-    
+
+    const error = new Error(`${prefix} (${response.status}): ${text}`);
+    error.status = response.status;
+    error.code = extractProviderErrorCode(payload);
+    error.retryAfterMs = parseRetryAfterMs(response.headers.get('retry-after'), payload);
+    return error;
+}
+
+/**
+ * Our own wait ran out (no HTTP status to judge by); `code: 'timeout'` marks it as retryable
+ */
+function createTimeoutError(message) {
+    const error = new Error(message);
+    error.code = 'timeout';
+    return error;
+}
+
+function parseOpenAIImageResponse(result) {
     // Parse response - standard OpenAI format
     const dataList = result.data || [];
     if (dataList.length === 0) {
@@ -1883,14 +2865,124 @@ async function generateImageOpenAI(prompt, style, referenceImages = [], options
     }
     
     const imageObj = dataList[0];
-    const imageData = imageObj.b64_json || imageObj.url;
     
     // Return as data URL if b64_json
     if (imageObj.b64_json) {
         return `data:image/png;base64,${imageObj.b64_json}`;
     }
     
-    return imageData;
+    return imageObj.url;
+}
+
+// gpt-image models take low/medium/high/auto; the dall-e values are mapped onto them
+const GPT_IMAGE_QUALITY_MAP = Object.freeze({ standard: 'medium', hd: 'high', low: 'low', medium: 'medium', high: 'high', auto: 'auto' });
+// dall-e-3 takes standard/hd only
+const DALL_E_3_QUALITY_MAP = Object.freeze({ standard: 'standard', hd: 'hd', low: 'standard', medium: 'standard', high: 'hd', auto: 'standard' });
+
+/**
+ * Quality value the model accepts, or '' to leave the parameter out.
+ * dall-e-2 has no quality choice; unknown (proxied) models get the value as is.
+ */
+function resolveOpenAIQuality(model, quality) {
+    const value = String(quality || '').trim().toLowerCase();
+    if (!value) {
+        return '';
+    }
+    const modelName = String(model || '').trim().toLowerCase();
+    if (modelName.startsWith('gpt-image')) {
+        return GPT_IMAGE_QUALITY_MAP[value] || '';
+    }
+    if (modelName === 'dall-e-3') {
+        return DALL_E_3_QUALITY_MAP[value] || '';
+    }
+    if (modelName === 'dall-e-2') {
+        return '';
+    }
+    return value;
+}
+
+/**
+ * Generate image via OpenAI-compatible endpoint
+ * Without references: JSON POST /v1/images/generations
+ * With references: multipart POST /v1/images/edits, every reference as its own image part
+ */
+async function generateImageOpenAI(prompt, style, referenceImages = [], options = {}) {
+    const settings = getConnectionSettings(options.connection);
+    const endpoint = settings.endpoint.replace(/\/$/, '');
+    
+    const fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride);
+    
+    // Map aspect ratio to size if provided in tag
+    let size = settings.size;
+    if (options.aspectRatio) {
+        if (options.aspectRatio === '16:9') size = '1792x1024';
+        else if (options.aspectRatio === '9:16') size = '1024x1792';
+        else if (options.aspectRatio === '1:1') size = '1024x1024';
+    }
+    const quality = resolveOpenAIQuality(settings.model, options.quality || settings.quality);
+    const references = referenceImages.slice(0, MAX_GENERATION_REFERENCE_IMAGES);
+    
+    let response;
+    if (references.length > 0) {
+        const form = new FormData();
+        form.append('model', settings.model);
+        form.append('prompt', fullPrompt);
+        form.append('n', '1');
+        form.append('size', size);
+        if (quality) {
+            form.append('quality', quality);
+        }
+        // gpt-image models always return base64 and reject response_format
+        if (!/^gpt-image/i.test(settings.model)) {
+            form.append('response_format', 'b64_json');
+        }
+
+        const fieldName = references.length > 1 ? 'image[]' : 'image';
+        references.forEach((dataUrl, index) => {
+            const parsed = parseImageDataUrl(dataUrl);
+            const extension = IIG_UPLOAD_FORMAT_MAP[parsed.subtype] || parsed.subtype || 'png';
+            form.append(fieldName, dataUrlToBlob(dataUrl), `reference_${index + 1}.${extension}`);
+        });
+
+        iigLog('INFO', `OpenAI edits request: model=${settings.model}, size=${size}, refImages=${references.length}`);
+
+        response = await fetch(`${endpoint}/v1/images/edits`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${settings.apiKey}`
+            },
+            body: form,
+            signal: options.signal
+        });
+    } else {
+        const body = {
+            model: settings.model,
+            prompt: fullPrompt,
+            n: 1,
+            size: size,
+            response_format: 'b64_json'
+        };
+        if (quality) {
+            body.quality = quality;
+        }
+        
+        response = await fetch(`${endpoint}/v1/images/generations`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${settings.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+    }
+    
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+    
+    const result = await resolveProviderAsyncResult(await response.json(), settings, { 'Authorization': `Bearer ${settings.apiKey}` }, endpoint, options);
+    return parseOpenAIImageResponse(result);
 }
 
 // Valid aspect ratios for Gemini/nano-banana
@@ -1902,7 +2994,7 @@ const VALID_IMAGE_SIZES = ['1K', '2K', '4K'];
  * Generate image via Gemini-compatible endpoint (nano-banana)
  */
 async function generateImageGemini(prompt, style, referenceImages = [], options = {}) {
-    const settings = getSettings();
+    const settings = getConnectionSettings(options.connection);
     const model = settings.model;
     const url = `${settings.endpoint.replace(/\/$/, '')}/v1beta/models/${model}:generateContent`;
     
@@ -1936,7 +3028,7 @@ async function generateImageGemini(prompt, style, referenceImages = [], options
     }
     
     // Add prompt with style and reference instruction
-    let fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings);
+    let fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride);
     
     // If reference images provided, add instruction to copy appearance
     if (referenceImages.length > 0) {
@@ -1971,12 +3063,12 @@ async function generateImageGemini(prompt, style, referenceImages = [], options
             'Authorization': `Bearer ${settings.apiKey}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal: options.signal
     });
     
     if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
+        throw await createApiError(response);
     }
     
     const result = await response.json();
@@ -2002,23 +3094,6 @@ async function generateImageGemini(prompt, style, referenceImages = [], options
     throw new Error('No image found in Gemini response');
 }
 
-/**
- * Get user avatar as data URL (for Naistera references)
- * Uses either the active persona avatar or the manually selected file.
- */
-async function getUserAvatarDataUrl() {
-    try {
-        const avatarUrl = await getSelectedUserAvatarUrl();
-        if (!avatarUrl) {
-            return null;
-        }
-        return await imageUrlToDataUrl(avatarUrl);
-    } catch (error) {
-        console.error('[IIG] Error getting user avatar data URL:', error);
-        return null;
-    }
-}
-
 /**
  * Generate image via Naistera custom endpoint
  * POST {endpoint}/api/generate
@@ -2026,7 +3101,7 @@ async function getUserAvatarDataUrl() {
  * Response: { data_url, content_type, media_kind?, poster_data_url? }
  */
 async function generateImageNaistera(prompt, style, options = {}) {
-    const settings = getSettings();
+    const settings = getConnectionSettings(options.connection);
     const endpoint = getEffectiveEndpoint(settings);
     const url = endpoint.endsWith('/api/generate') ? endpoint : `${endpoint}/api/generate`;
 
@@ -2036,7 +3111,7 @@ async function generateImageNaistera(prompt, style, options = {}) {
     const referenceImages = options.referenceImages || [];
     const wantsVideoTest = Boolean(options.videoTestMode);
     const videoEveryN = normalizeNaisteraVideoFrequency(options.videoEveryN ?? settings.naisteraVideoEveryN);
-    let fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings);
+    let fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride);
 
     if (referenceImages.length > 0) {
         const refInstruction = `[CRITICAL: The reference image(s) above show the EXACT appearance of the character(s). You MUST precisely copy their: face structure, eye color, hair color and style, skin tone, body type, clothing, and all distinctive features. Do not deviate from the reference appearances.]`;
@@ -2065,9 +3140,13 @@ async function generateImageNaistera(prompt, style, options = {}) {
                 'Authorization': `Bearer ${settings.apiKey}`,
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(body)
+            body: JSON.stringify(body),
+            signal: options.signal
         });
     } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
         const pageOrigin = window.location.origin;
         let endpointOrigin = endpoint;
         try {
@@ -2076,19 +3155,20 @@ async function generateImageNaistera(prompt, style, options = {}) {
             console.warn('[IIG] Failed to parse Naistera endpoint origin:', parseErr);
         }
         const rawMessage = String(error?.message || '').trim() || 'Failed to fetch';
-        throw new Error(
+        const networkError = new Error(
             `Network/CORS error while requesting ${endpointOrigin} from ${pageOrigin}. `
             + `The browser blocked access to the response before the API could return JSON. `
             + `Original error: ${rawMessage}`
         );
+        networkError.code = 'network';
+        throw networkError;
     }
 
     if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`API Error (${response.status}): ${text}`);
+        throw await createApiError(response);
     }
 
-    const result = await response.json();
+    const result = await resolveProviderAsyncResult(await response.json(), settings, { 'Authorization': `Bearer ${settings.apiKey}` }, url, options);
     if (!result?.data_url) {
         throw new Error('No data_url in response');
     }
@@ -2103,162 +3183,897 @@ async function generateImageNaistera(prompt, style, options = {}) {
     return result.data_url;
 }
 
-/**
- * Validate settings before generation
- */
-function validateSettings() {
-    const settings = getSettings();
-    const errors = [];
-    
-    if (!settings.endpoint) {
-        if (settings.apiType !== 'naistera') {
-            errors.push('URL эндпоинта не настроен');
-        }
-    }
-    if (!settings.apiKey) {
-        errors.push('API ключ не настроен');
-    }
-    if (settings.apiType !== 'naistera' && !settings.model) {
-        errors.push('Модель не выбрана');
-    }
-    if (settings.apiType === 'naistera') {
-        const m = normalizeNaisteraModel(settings.naisteraModel);
-        if (!NAISTERA_MODELS.includes(m)) {
-            errors.push('Для Naistera выберите модель: grok / grok-pro / nano banana');
-        }
-    }
-    
-    if (errors.length > 0) {
-        throw new Error(`Ошибка настроек: ${errors.join(', ')}`);
+function buildSdWebUiHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    const key = String(apiKey || '').trim();
+    if (key) {
+        // --api-auth user:password uses Basic auth; anything else is treated as a bearer token (proxies)
+        headers['Authorization'] = key.includes(':') ? `Basic ${btoa(key)}` : `Bearer ${key}`;
     }
+    return headers;
 }
 
 /**
- * Sanitize text for safe HTML display
+ * Generate image via Stable Diffusion WebUI (A1111/Forge)
+ * POST {endpoint}/sdapi/v1/txt2img or /sdapi/v1/img2img
+ * References go into init_images (img2img) or ControlNet units (controlnet)
+ * Response: { images: [base64, ...], info }
  */
-function sanitizeForHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-const INSTRUCTION_FIELD_NAMES = Object.freeze([
-    'style',
-    'prompt',
-    'aspect_ratio',
-    'aspectRatio',
-    'preset',
-    'image_size',
-    'imageSize',
-    'quality',
-]);
+async function generateImageSdWebUi(prompt, style, referenceImages = [], options = {}) {
+    const settings = getConnectionSettings(options.connection);
+    const endpoint = getEffectiveEndpoint(settings);
+    const fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride);
 
-function normalizeInstructionPayload(text) {
-    return String(text || '')
-        .replace(/&quot;/g, '"')
-        .replace(/&apos;/g, "'")
-        .replace(/&#39;/g, "'")
-        .replace(/&#34;/g, '"')
-        .replace(/&amp;/g, '&');
-}
+    const aspectRatio = options.aspectRatio || settings.aspectRatio || '1:1';
+    let imageSize = options.imageSize || settings.imageSize || '1K';
+    if (!VALID_IMAGE_SIZES.includes(imageSize)) {
+        iigLog('WARN', `Invalid image_size "${imageSize}", falling back to settings or default`);
+        imageSize = VALID_IMAGE_SIZES.includes(settings.imageSize) ? settings.imageSize : '1K';
+    }
+    const { width, height } = resolvePixelDimensions(aspectRatio, imageSize);
 
-function decodeRelaxedInstructionValue(value) {
-    return String(value || '')
-        .trim()
-        .replace(/\\n/g, '\n')
-        .replace(/\\r/g, '\r')
-        .replace(/\\t/g, '\t')
-        .replace(/\\"/g, '"')
-        .replace(/\\'/g, "'")
-        .replace(/\\\\/g, '\\');
-}
+    const referenceMode = normalizeSdWebUiReferenceMode(settings.sdReferenceMode);
+    const references = referenceMode === 'off' ? [] : referenceImages.slice(0, MAX_GENERATION_REFERENCE_IMAGES);
 
-function parseRelaxedInstructionObject(payload) {
-    const normalized = normalizeInstructionPayload(payload);
-    const keyRegex = /(["'])(style|prompt|aspect_ratio|aspectRatio|preset|image_size|imageSize|quality)\1\s*:\s*(["'])/g;
-    const matches = Array.from(normalized.matchAll(keyRegex));
-    if (matches.length === 0) {
-        return null;
+    const body = {
+        prompt: fullPrompt,
+        negative_prompt: String(settings.sdNegativePrompt || '').trim(),
+        sampler_name: String(settings.sdSampler || '').trim() || 'Euler a',
+        steps: normalizeSdWebUiSteps(settings.sdSteps),
+        cfg_scale: normalizeSdWebUiCfgScale(settings.sdCfgScale),
+        width,
+        height,
+        seed: -1,
+        batch_size: 1,
+        n_iter: 1,
+    };
+    if (settings.model) {
+        body.override_settings = { sd_model_checkpoint: settings.model };
+        body.override_settings_restore_afterwards = true;
+    }
+
+    let route = 'txt2img';
+    if (references.length > 0 && referenceMode === 'img2img') {
+        route = 'img2img';
+        body.init_images = [references[0]];
+        body.denoising_strength = normalizeSdWebUiDenoisingStrength(settings.sdDenoisingStrength);
+        if (references.length > 1) {
+            iigLog('WARN', `SD WebUI img2img uses only the first reference, ignoring ${references.length - 1} more (switch to ControlNet to send all)`);
+        }
+    } else if (references.length > 0 && referenceMode === 'controlnet') {
+        body.alwayson_scripts = {
+            controlnet: {
+                args: references.map((image) => ({
+                    enabled: true,
+                    image,
+                    module: String(settings.sdControlNetModule || '').trim() || 'reference_only',
+                    model: String(settings.sdControlNetModel || '').trim() || 'None',
+                    weight: 1,
+                    pixel_perfect: true,
+                })),
+            },
+        };
     }
 
-    const result = {};
+    iigLog('INFO', `SD WebUI request: route=${route}, size=${width}x${height}, sampler=${body.sampler_name}, steps=${body.steps}, cfg=${body.cfg_scale}, refImages=${references.length}, refMode=${referenceMode}`);
 
-    for (let i = 0; i < matches.length; i++) {
-        const match = matches[i];
-        const key = match[2];
-        const valueQuote = match[3];
-        const valueStart = match.index + match[0].length;
-        const nextKeyIndex = i + 1 < matches.length ? matches[i + 1].index : normalized.lastIndexOf('}');
-        const rawValue = normalized.substring(
-            valueStart,
-            nextKeyIndex === -1 ? normalized.length : nextKeyIndex
-        );
+    const response = await fetch(`${endpoint}/sdapi/v1/${route}`, {
+        method: 'POST',
+        headers: buildSdWebUiHeaders(settings.apiKey),
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
 
-        let value = rawValue.trim();
-        if (value.endsWith(',')) {
-            value = value.slice(0, -1).trimEnd();
-        }
-        if (value.endsWith(valueQuote)) {
-            value = value.slice(0, -1);
-        }
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
 
-        result[key] = decodeRelaxedInstructionValue(value);
+    const result = await response.json();
+    const image = Array.isArray(result?.images) ? result.images[0] : null;
+    if (!image) {
+        throw new Error('No images in SD WebUI response');
     }
 
-    return Object.keys(result).length > 0 ? result : null;
+    return String(image).startsWith('data:') ? image : `data:image/png;base64,${image}`;
 }
 
-function parseInstructionObject(payload) {
-    const normalized = normalizeInstructionPayload(payload);
+function parseComfyWorkflow(rawWorkflow) {
+    const raw = String(rawWorkflow || '').trim();
+    if (!raw) {
+        throw new Error('ComfyUI workflow не загружен');
+    }
 
+    let workflow;
     try {
-        return JSON.parse(normalized);
+        workflow = JSON.parse(raw);
     } catch (error) {
-        const relaxed = parseRelaxedInstructionObject(normalized);
-        if (relaxed) {
-            return relaxed;
-        }
-        throw error;
+        throw new Error(`ComfyUI workflow: невалидный JSON (${error.message})`);
     }
-}
-
-function sanitizeForSingleQuotedAttribute(text) {
-    return String(text || '')
-        .replace(/&/g, '&amp;')
-        .replace(/'/g, '&#39;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-}
 
-function buildInstructionData(tag) {
-    const data = {};
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+        throw new Error('ComfyUI workflow: ожидается JSON-объект');
+    }
+    if (Array.isArray(workflow.nodes)) {
+        throw new Error('ComfyUI workflow сохранён в UI-формате. Экспортируйте его через "Save (API Format)"');
+    }
 
-    if (tag.style) data.style = tag.style;
-    if (tag.prompt) data.prompt = tag.prompt;
-    if (tag.aspectRatio) data.aspect_ratio = tag.aspectRatio;
-    if (tag.preset) data.preset = tag.preset;
-    if (tag.imageSize) data.image_size = tag.imageSize;
-    if (tag.quality) data.quality = tag.quality;
+    const nodes = Object.values(workflow);
+    if (nodes.length === 0 || !nodes.every((node) => node && typeof node === 'object' && node.class_type)) {
+        throw new Error('ComfyUI workflow: ожидается API-формат ({ "id": { "class_type": ..., "inputs": ... } })');
+    }
 
-    return data;
+    return workflow;
 }
 
-function getInstructionAttributeValue(tag) {
-    if (tag.isNewFormat && tag.fullMatch) {
-        const instructionMatch = tag.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-        if (instructionMatch) {
-            return instructionMatch[2];
+function getComfyWorkflowPlaceholders(workflow) {
+    const found = new Set();
+    for (const node of Object.values(workflow || {})) {
+        for (const value of Object.values(node?.inputs || {})) {
+            if (typeof value !== 'string') {
+                continue;
+            }
+            for (const match of value.matchAll(COMFYUI_PLACEHOLDER_RE)) {
+                found.add(match[1] === 'reference' ? 'reference_1' : match[1]);
+            }
         }
     }
-
-    return JSON.stringify(buildInstructionData(tag));
+    return found;
 }
 
-function isGeneratedVideoResult(value) {
-    return Boolean(value) && typeof value === 'object' && value.kind === 'video' && typeof value.dataUrl === 'string';
-}
+function getComfyWorkflowReferenceSlotCount(rawWorkflow) {
+    let placeholders;
+    try {
+        placeholders = getComfyWorkflowPlaceholders(parseComfyWorkflow(rawWorkflow));
+    } catch (_error) {
+        return 0;
+    }
+
+    let slotCount = 0;
+    for (const name of placeholders) {
+        const match = name.match(/^reference_(\d+)$/);
+        if (match) {
+            slotCount = Math.max(slotCount, Number.parseInt(match[1], 10));
+        }
+    }
+    return Math.min(slotCount, MAX_GENERATION_REFERENCE_IMAGES);
+}
+
+function describeComfyWorkflow(settings = getConnectionSettings()) {
+    if (!String(settings.comfyWorkflow || '').trim()) {
+        return 'Workflow не загружен';
+    }
+
+    try {
+        const placeholders = getComfyWorkflowPlaceholders(parseComfyWorkflow(settings.comfyWorkflow));
+        const list = Array.from(placeholders).map((name) => `{${name}}`).join(', ');
+        return `${settings.comfyWorkflowName || 'workflow.json'}: ${list || 'плейсхолдеры не найдены'}`;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Substitute placeholders in node inputs. An input that is exactly "{seed}" becomes
+ * the raw value (numbers stay numbers); placeholders inside longer strings are interpolated.
+ */
+function applyComfyWorkflowPlaceholders(workflow, values) {
+    const graph = structuredClone(workflow);
+
+    for (const node of Object.values(graph)) {
+        const inputs = node?.inputs;
+        if (!inputs || typeof inputs !== 'object') {
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(inputs)) {
+            if (typeof value !== 'string') {
+                continue;
+            }
+
+            const exactMatch = value.trim().match(/^\{(\w+)\}$/);
+            if (exactMatch && Object.hasOwn(values, exactMatch[1])) {
+                inputs[key] = values[exactMatch[1]];
+                continue;
+            }
+
+            inputs[key] = value.replace(COMFYUI_PLACEHOLDER_RE, (match, name) => (
+                Object.hasOwn(values, name) ? String(values[name]) : match
+            ));
+        }
+    }
+
+    return graph;
+}
+
+function buildComfyUiAuthHeaders(apiKey) {
+    const key = String(apiKey || '').trim();
+    return key ? { 'Authorization': `Bearer ${key}` } : {};
+}
+
+function dataUrlToBlob(dataUrl) {
+    const parsed = parseImageDataUrl(dataUrl);
+    const binary = atob(parsed.base64Data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: parsed.mimeType });
+}
+
+async function uploadComfyReferenceImage(endpoint, dataUrl, authHeaders, index, signal) {
+    const parsed = parseImageDataUrl(dataUrl);
+    const extension = IIG_UPLOAD_FORMAT_MAP[parsed.subtype] || 'png';
+    const form = new FormData();
+    form.append('image', dataUrlToBlob(dataUrl), `iig_ref_${Date.now()}_${index + 1}.${extension}`);
+    form.append('overwrite', 'true');
+
+    const response = await fetch(`${endpoint}/upload/image`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: form,
+        signal
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'ComfyUI upload error');
+    }
+
+    const result = await response.json();
+    if (!result?.name) {
+        throw new Error('No file name in ComfyUI upload response');
+    }
+    return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+}
+
+function getComfyExecutionError(entry) {
+    const messages = Array.isArray(entry?.status?.messages) ? entry.status.messages : [];
+    const executionError = messages.find((item) => Array.isArray(item) && item[0] === 'execution_error');
+    const details = executionError?.[1] || {};
+    return String(details.exception_message || '').trim() || 'execution failed';
+}
+
+async function waitForComfyHistory(endpoint, promptId, authHeaders, signal) {
+    const deadline = Date.now() + COMFYUI_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        await waitWithSignal(COMFYUI_POLL_INTERVAL_MS, signal);
+
+        const response = await fetch(`${endpoint}/history/${encodeURIComponent(promptId)}`, {
+            method: 'GET',
+            headers: authHeaders,
+            signal
+        });
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+
+        const history = await response.json();
+        const entry = history?.[promptId];
+        if (!entry) {
+            // Still queued or running
+            continue;
+        }
+        if (entry.status?.status_str === 'error') {
+            throw new Error(`ComfyUI error: ${getComfyExecutionError(entry)}`);
+        }
+        if (entry.outputs && entry.status?.completed !== false) {
+            return entry.outputs;
+        }
+    }
+
+    throw createTimeoutError(`ComfyUI timeout: prompt ${promptId} did not finish in ${COMFYUI_TIMEOUT_MS / 1000}s`);
+}
+
+function findComfyOutputImage(outputs) {
+    const images = Object.values(outputs || {})
+        .flatMap((output) => (Array.isArray(output?.images) ? output.images : []))
+        .filter((image) => image?.filename);
+    return images.find((image) => image.type === 'output') || images[0] || null;
+}
+
+/**
+ * Generate image via ComfyUI with a user-supplied API-format workflow
+ * Uploads references to /upload/image, queues the graph via POST /prompt,
+ * polls /history/{prompt_id} and downloads the first output image from /view
+ */
+async function generateImageComfyUi(prompt, style, referenceImages = [], options = {}) {
+    const settings = getConnectionSettings(options.connection);
+    const endpoint = getEffectiveEndpoint(settings);
+    const workflow = parseComfyWorkflow(settings.comfyWorkflow);
+    const placeholders = getComfyWorkflowPlaceholders(workflow);
+    if (!placeholders.has('prompt')) {
+        throw new Error('В ComfyUI workflow нет плейсхолдера {prompt}');
+    }
+
+    const fullPrompt = buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride);
+
+    const aspectRatio = options.aspectRatio || settings.aspectRatio || '1:1';
+    let imageSize = options.imageSize || settings.imageSize || '1K';
+    if (!VALID_IMAGE_SIZES.includes(imageSize)) {
+        iigLog('WARN', `Invalid image_size "${imageSize}", falling back to settings or default`);
+        imageSize = VALID_IMAGE_SIZES.includes(settings.imageSize) ? settings.imageSize : '1K';
+    }
+    const { width, height } = resolvePixelDimensions(aspectRatio, imageSize);
+
+    const authHeaders = buildComfyUiAuthHeaders(settings.apiKey);
+    const slotCount = getComfyWorkflowReferenceSlotCount(settings.comfyWorkflow);
+    if (referenceImages.length < slotCount) {
+        throw new Error(
+            `ComfyUI workflow ждёт референсов: ${slotCount}, собрано: ${referenceImages.length}. `
+            + 'Включите аватары/доп. референсы или уберите лишние {reference_N} из workflow'
+        );
+    }
+
+    const values = {
+        prompt: fullPrompt,
+        negative: String(settings.comfyNegativePrompt || '').trim(),
+        seed: Math.floor(Math.random() * 2 ** 32),
+        width,
+        height,
+    };
+    for (let i = 0; i < slotCount; i++) {
+        values[`reference_${i + 1}`] = await uploadComfyReferenceImage(endpoint, referenceImages[i], authHeaders, i, options.signal);
+    }
+    if (values.reference_1) {
+        values.reference = values.reference_1;
+    }
+
+    const graph = applyComfyWorkflowPlaceholders(workflow, values);
+    iigLog('INFO', `ComfyUI request: nodes=${Object.keys(graph).length}, size=${width}x${height}, seed=${values.seed}, refImages=${slotCount}`);
+
+    const response = await fetch(`${endpoint}/prompt`, {
+        method: 'POST',
+        headers: {
+            ...authHeaders,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            prompt: graph,
+            client_id: `iig-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        }),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    const queued = await response.json();
+    const promptId = queued?.prompt_id;
+    if (!promptId) {
+        throw new Error('No prompt_id in ComfyUI response');
+    }
+    iigLog('INFO', `ComfyUI prompt queued: id=${promptId} number=${queued.number ?? '?'}`);
+
+    const outputs = await waitForComfyHistory(endpoint, promptId, authHeaders, options.signal);
+    const image = findComfyOutputImage(outputs);
+    if (!image) {
+        throw new Error('No output images in ComfyUI history');
+    }
+
+    const params = new URLSearchParams({
+        filename: image.filename,
+        subfolder: image.subfolder || '',
+        type: image.type || 'output',
+    });
+    const viewResponse = await fetch(`${endpoint}/view?${params.toString()}`, {
+        method: 'GET',
+        headers: authHeaders,
+        signal: options.signal
+    });
+    if (!viewResponse.ok) {
+        throw await createApiError(viewResponse, 'ComfyUI view error');
+    }
+
+    return await readFileAsDataUrl(await viewResponse.blob());
+}
+
+function normalizeCustomReferenceFormat(value) {
+    return CUSTOM_REFERENCE_FORMATS.includes(value) ? value : 'dataUrl';
+}
+
+function parseCustomBodyTemplate(rawTemplate) {
+    const raw = String(rawTemplate || '').trim();
+    if (!raw) {
+        throw new Error('Шаблон тела запроса не задан');
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Шаблон тела запроса: невалидный JSON (${error.message})`);
+    }
+}
+
+/**
+ * Substitute {{placeholders}} in every string of the body template.
+ * A string that is exactly one placeholder takes the raw value, so {{references}} becomes an array and {{seed}} a number.
+ */
+function applyCustomTemplatePlaceholders(node, values) {
+    if (typeof node === 'string') {
+        const exactMatch = node.trim().match(/^\{\{\s*(\w+)\s*\}\}$/);
+        if (exactMatch && Object.hasOwn(values, exactMatch[1])) {
+            return values[exactMatch[1]];
+        }
+        return node.replace(CUSTOM_TEMPLATE_PLACEHOLDER_RE, (match, name) => {
+            if (!Object.hasOwn(values, name)) {
+                return match;
+            }
+            const value = values[name];
+            return Array.isArray(value) ? value.join(',') : String(value ?? '');
+        });
+    }
+    if (Array.isArray(node)) {
+        return node.map((item) => applyCustomTemplatePlaceholders(item, values));
+    }
+    if (node && typeof node === 'object') {
+        return Object.fromEntries(
+            Object.entries(node).map(([key, value]) => [key, applyCustomTemplatePlaceholders(value, values)])
+        );
+    }
+    return node;
+}
+
+/**
+ * Parse "Name: value" lines into a headers object; {{api_key}} is replaced with the profile's key.
+ */
+function parseCustomHeaders(rawHeaders, apiKey) {
+    const headers = {};
+    for (const line of String(rawHeaders || '').split(/\r?\n/)) {
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex <= 0) {
+            continue;
+        }
+        const name = line.slice(0, separatorIndex).trim();
+        const value = line.slice(separatorIndex + 1).trim().replace(/\{\{\s*api_key\s*\}\}/g, String(apiKey || ''));
+        if (name) {
+            headers[name] = value;
+        }
+    }
+    return headers;
+}
+
+/**
+ * Read a value by a JSONPath-like selector: $.data[0].b64_json, output.0, images["first"].
+ */
+function selectJsonPath(value, path) {
+    const tokens = String(path || '')
+        .trim()
+        .replace(/^\$\.?/, '')
+        .match(/[^.[\]]+|\[(?:\d+|"[^"]*"|'[^']*')\]/g) || [];
+
+    let current = value;
+    for (const rawToken of tokens) {
+        if (current === null || current === undefined) {
+            return undefined;
+        }
+        const token = rawToken.startsWith('[') ? rawToken.slice(1, -1).replace(/^(["'])([\s\S]*)\1$/, '$2') : rawToken;
+        current = current[token];
+    }
+    return current;
+}
+
+function guessBase64ImageMime(base64Data) {
+    if (base64Data.startsWith('/9j/')) return 'image/jpeg';
+    if (base64Data.startsWith('UklGR')) return 'image/webp';
+    if (base64Data.startsWith('R0lGOD')) return 'image/gif';
+    return 'image/png';
+}
+
+/**
+ * Turn whatever the selector found (data URL, remote URL or bare base64) into a data URL.
+ */
+async function resolveCustomImageValue(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        throw new Error('Картинка не найдена в ответе по указанному пути');
+    }
+    if (text.startsWith('data:')) {
+        return text;
+    }
+    if (/^https?:\/\//i.test(text) || text.startsWith('/')) {
+        const dataUrl = await imageUrlToDataUrl(text);
+        if (!dataUrl) {
+            throw new Error(`Не удалось скачать картинку: ${text.slice(0, 120)}`);
+        }
+        return dataUrl;
+    }
+
+    const base64Data = text.replace(/\s+/g, '');
+    return `data:${guessBase64ImageMime(base64Data)};base64,${base64Data}`;
+}
+
+function parseCustomStatusList(rawValues) {
+    return String(rawValues || '')
+        .split(',')
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Describe a running job for the loading placeholder: queue position first, then progress.
+ */
+function formatCustomJobStatus(result, settings, status) {
+    const queuePosition = settings.customQueuePositionPath ? Number(selectJsonPath(result, settings.customQueuePositionPath)) : NaN;
+    if (Number.isFinite(queuePosition) && queuePosition > 0) {
+        return `В очереди: позиция ${queuePosition}...`;
+    }
+
+    const rawProgress = settings.customProgressPath ? Number(selectJsonPath(result, settings.customProgressPath)) : NaN;
+    if (Number.isFinite(rawProgress)) {
+        const percent = Math.round(rawProgress <= 1 ? rawProgress * 100 : rawProgress);
+        return `Генерация: ${Math.max(0, Math.min(percent, 100))}%...`;
+    }
+
+    return status ? `Ожидание результата (${status})...` : 'Ожидание результата...';
+}
+
+/**
+ * Poll the job status URL until the job succeeds, fails or the timeout runs out.
+ * Transient status failures (5xx, 429, network) are retried; the rest fail the job.
+ * Returns the final status response.
+ */
+async function pollAsyncJob(settings, jobId, headers, baseUrl, onStatusUpdate, signal) {
+    const rawStatusUrl = String(settings.customStatusUrl || '').trim().replace(/\{\{\s*job_id\s*\}\}/g, encodeURIComponent(jobId));
+    // A relative status URL (e.g. /api/jobs/{{job_id}}) is taken against the provider endpoint
+    const statusUrl = new URL(rawStatusUrl, baseUrl || window.location.href).href;
+    const intervalMs = normalizeCustomPollInterval(settings.customPollIntervalSec) * 1000;
+    const timeoutMs = normalizeCustomPollTimeout(settings.customPollTimeoutSec) * 1000;
+    const successValues = parseCustomStatusList(settings.customSuccessValues);
+    const failureValues = parseCustomStatusList(settings.customFailureValues);
+    const pollHeaders = { ...headers };
+    delete pollHeaders['Content-Type'];
+    const deadline = Date.now() + timeoutMs;
+    let delayMs = intervalMs;
+    let consecutiveErrors = 0;
+
+    onStatusUpdate?.('Задача отправлена, ожидание...');
+
+    while (Date.now() < deadline) {
+        await waitWithSignal(delayMs, signal);
+
+        let result;
+        try {
+            const response = await fetch(statusUrl, {
+                method: 'GET',
+                headers: pollHeaders,
+                signal
+            });
+            if (!response.ok) {
+                throw await createApiError(response);
+            }
+            result = await response.json();
+        } catch (error) {
+            consecutiveErrors++;
+            if (!isRetryableGenerationError(error) || consecutiveErrors >= ASYNC_POLL_MAX_CONSECUTIVE_ERRORS) {
+                throw error;
+            }
+            iigLog('WARN', `Job ${jobId} status request failed (${consecutiveErrors}/${ASYNC_POLL_MAX_CONSECUTIVE_ERRORS}), polling again: ${error.message}`);
+            onStatusUpdate?.('Статус задачи недоступен, повтор...');
+            delayMs = Math.max(intervalMs, error.retryAfterMs || 0);
+            continue;
+        }
+        consecutiveErrors = 0;
+        delayMs = intervalMs;
+
+        const status = String(selectJsonPath(result, settings.customStatusPath) ?? '').trim();
+        const normalizedStatus = status.toLowerCase();
+
+        if (failureValues.includes(normalizedStatus)) {
+            throw new Error(`Job ${jobId} ${status}: ${JSON.stringify(result).slice(0, 300)}`);
+        }
+        if (successValues.includes(normalizedStatus)) {
+            iigLog('INFO', `Async job finished: id=${jobId} status=${status}`);
+            return result;
+        }
+
+        onStatusUpdate?.(formatCustomJobStatus(result, settings, status));
+    }
+
+    throw createTimeoutError(`Job timeout: ${jobId} did not finish in ${timeoutMs / 1000}s`);
+}
+
+/**
+ * Submit-then-poll: when the profile is in async mode, treat the POST response as a job and
+ * return the final status response instead. Otherwise the response is returned unchanged.
+ */
+async function resolveAsyncJobResult(result, settings, headers, baseUrl, options = {}) {
+    if (!settings.customAsync) {
+        return result;
+    }
+    const jobId = selectJsonPath(result, settings.customJobIdPath);
+    if (jobId === undefined || jobId === null || jobId === '') {
+        throw new Error(`No job id in response at ${settings.customJobIdPath}`);
+    }
+    iigLog('INFO', `Async job submitted: provider=${settings.apiType} id=${jobId}`);
+    return await pollAsyncJob(settings, String(jobId), headers, baseUrl, options.onStatusUpdate, options.signal);
+}
+
+/**
+ * OpenAI/Naistera in async mode: the regular provider response, optionally nested in the status reply
+ */
+async function resolveProviderAsyncResult(result, settings, headers, baseUrl, options = {}) {
+    if (!settings.customAsync) {
+        return result;
+    }
+    const finalResult = await resolveAsyncJobResult(result, settings, headers, baseUrl, options);
+    const resultPath = String(settings.customResultPath || '').trim();
+    if (!resultPath) {
+        return finalResult;
+    }
+    const nested = selectJsonPath(finalResult, resultPath);
+    if (!nested || typeof nested !== 'object') {
+        throw new Error(`No result at ${resultPath} in job status response`);
+    }
+    return nested;
+}
+
+/**
+ * Generate image via a user-described HTTP API (body template + response selector)
+ */
+async function generateImageCustom(prompt, style, referenceImages = [], options = {}) {
+    const settings = getConnectionSettings(options.connection);
+    const endpoint = getEffectiveEndpoint(settings);
+    const template = parseCustomBodyTemplate(settings.customBodyTemplate);
+
+    const values = {
+        prompt: buildFinalGenerationPrompt(prompt, style, options.matchedAdditionalRefs || [], settings, options.styleOverride),
+        aspect_ratio: options.aspectRatio || settings.aspectRatio || '1:1',
+        references: referenceImages.slice(0, MAX_GENERATION_REFERENCE_IMAGES),
+        seed: Math.floor(Math.random() * 2 ** 32),
+        model: settings.model || '',
+        api_key: settings.apiKey || '',
+    };
+    const body = applyCustomTemplatePlaceholders(template, values);
+    const headers = {
+        'Content-Type': 'application/json',
+        ...parseCustomHeaders(settings.customHeaders, settings.apiKey),
+    };
+
+    iigLog('INFO', `Custom API request: url=${endpoint}, aspect=${values.aspect_ratio}, seed=${values.seed}, refImages=${values.references.length}`);
+
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    const result = await resolveAsyncJobResult(await response.json(), settings, headers, endpoint, options);
+
+    const selected = selectJsonPath(result, settings.customImagePath);
+    iigLog('INFO', `Custom API response: path=${settings.customImagePath} found=${typeof selected}`);
+    return await resolveCustomImageValue(selected);
+}
+
+/**
+ * Validate settings before generation
+ */
+function validateSettings(settings = getConnectionSettings()) {
+    const errors = [];
+    
+    if (!settings.endpoint) {
+        if (settings.apiType !== 'naistera') {
+            errors.push('URL эндпоинта не настроен');
+        }
+    }
+    // Local SD WebUI / ComfyUI run without auth; SD uses the loaded checkpoint, ComfyUI takes models from the workflow
+    // Custom HTTP APIs pass the key (if any) through their own headers and carry the model in the template
+    const isLocalBackend = settings.apiType === 'sdwebui' || settings.apiType === 'comfyui' || settings.apiType === 'custom';
+    if (!settings.apiKey && !isLocalBackend) {
+        errors.push('API ключ не настроен');
+    }
+    if (settings.apiType !== 'naistera' && !isLocalBackend && !settings.model) {
+        errors.push('Модель не выбрана');
+    }
+    if (settings.apiType === 'comfyui' && !String(settings.comfyWorkflow || '').trim()) {
+        errors.push('ComfyUI workflow не загружен');
+    }
+    if (settings.apiType === 'custom') {
+        if (!String(settings.customBodyTemplate || '').trim()) {
+            errors.push('Шаблон тела запроса не задан');
+        }
+        if (!String(settings.customImagePath || '').trim()) {
+            errors.push('Путь к картинке в ответе не задан');
+        }
+    }
+    if (ASYNC_JOB_PROVIDERS.includes(settings.apiType) && settings.customAsync && !String(settings.customStatusUrl || '').trim()) {
+        errors.push('URL статуса задачи не задан');
+    }
+    if (settings.apiType === 'naistera') {
+        const m = normalizeNaisteraModel(settings.naisteraModel);
+        if (!NAISTERA_MODELS.includes(m)) {
+            errors.push('Для Naistera выберите модель: grok / grok-pro / nano banana');
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`Ошибка настроек: ${errors.join(', ')}`);
+    }
+}
+
+/**
+ * Sanitize text for safe HTML display
+ */
+function sanitizeForHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+const INSTRUCTION_FIELD_NAMES = Object.freeze([
+    'style',
+    'prompt',
+    'aspect_ratio',
+    'aspectRatio',
+    'preset',
+    'image_size',
+    'imageSize',
+    'quality',
+    'provider',
+    'model',
+]);
+
+function normalizeInstructionPayload(text) {
+    return String(text || '')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#39;/g, "'")
+        .replace(/&#34;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+function decodeRelaxedInstructionValue(value) {
+    return String(value || '')
+        .trim()
+        .replace(/\\n/g, '\n')
+        .replace(/\\r/g, '\r')
+        .replace(/\\t/g, '\t')
+        .replace(/\\"/g, '"')
+        .replace(/\\'/g, "'")
+        .replace(/\\\\/g, '\\');
+}
+
+function parseRelaxedInstructionObject(payload) {
+    const normalized = normalizeInstructionPayload(payload);
+    const keyRegex = new RegExp(`(["'])(${INSTRUCTION_FIELD_NAMES.join('|')})\\1\\s*:\\s*(["'])`, 'g');
+    const matches = Array.from(normalized.matchAll(keyRegex));
+    if (matches.length === 0) {
+        return null;
+    }
+
+    const result = {};
+
+    for (let i = 0; i < matches.length; i++) {
+        const match = matches[i];
+        const key = match[2];
+        const valueQuote = match[3];
+        const valueStart = match.index + match[0].length;
+        const nextKeyIndex = i + 1 < matches.length ? matches[i + 1].index : normalized.lastIndexOf('}');
+        const rawValue = normalized.substring(
+            valueStart,
+            nextKeyIndex === -1 ? normalized.length : nextKeyIndex
+        );
+
+        let value = rawValue.trim();
+        if (value.endsWith(',')) {
+            value = value.slice(0, -1).trimEnd();
+        }
+        if (value.endsWith(valueQuote)) {
+            value = value.slice(0, -1);
+        }
+
+        result[key] = decodeRelaxedInstructionValue(value);
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+function parseInstructionObject(payload) {
+    const normalized = normalizeInstructionPayload(payload);
+
+    try {
+        return JSON.parse(normalized);
+    } catch (error) {
+        const relaxed = parseRelaxedInstructionObject(normalized);
+        if (relaxed) {
+            return relaxed;
+        }
+        throw error;
+    }
+}
+
+function sanitizeForSingleQuotedAttribute(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function buildInstructionData(tag) {
+    const data = {};
+
+    if (tag.style) data.style = tag.style;
+    if (tag.prompt) data.prompt = tag.prompt;
+    if (tag.aspectRatio) data.aspect_ratio = tag.aspectRatio;
+    if (tag.preset) data.preset = tag.preset;
+    if (tag.imageSize) data.image_size = tag.imageSize;
+    if (tag.quality) data.quality = tag.quality;
+    if (tag.provider) data.provider = tag.provider;
+    if (tag.model) data.model = tag.model;
+
+    return data;
+}
+
+function getInstructionAttributeValue(tag) {
+    if (tag.isNewFormat && tag.fullMatch) {
+        const instructionMatch = tag.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
+        if (instructionMatch) {
+            return instructionMatch[2];
+        }
+    }
+
+    return JSON.stringify(buildInstructionData(tag));
+}
+
+/**
+ * Rewrite the data-iig-instruction attribute of a parsed new-format tag from its current fields.
+ * Returns null when the attribute can't be located in tag.fullMatch.
+ */
+function buildTagWithInstruction(tag, instructionData = buildInstructionData(tag)) {
+    const marker = 'data-iig-instruction=';
+    const html = String(tag?.fullMatch || '');
+    const markerPos = html.indexOf(marker);
+    const jsonPos = markerPos === -1 || !tag.instructionJson ? -1 : html.indexOf(tag.instructionJson, markerPos);
+    if (jsonPos === -1) {
+        return null;
+    }
+
+    const valueStart = markerPos + marker.length;
+    let valueEnd = jsonPos + tag.instructionJson.length;
+    const quote = html[valueStart];
+    if ((quote === '"' || quote === "'") && html[valueEnd] === quote) {
+        valueEnd += 1;
+    }
+
+    const instruction = sanitizeForSingleQuotedAttribute(JSON.stringify(instructionData));
+    return `${html.slice(0, valueStart)}'${instruction}'${html.slice(valueEnd)}`;
+}
+
+/**
+ * The tag with only the style of its instruction replaced, so later regenerations keep that style
+ */
+function buildTagWithInstructionStyle(tag, style) {
+    let data;
+    try {
+        data = parseInstructionObject(tag.instructionJson);
+    } catch (error) {
+        iigLog('WARN', `Failed to parse instruction of tag ${tag.id}, style not written:`, error.message);
+        return tag;
+    }
+
+    const fullMatch = buildTagWithInstruction(tag, { ...data, style });
+    return fullMatch ? { ...tag, fullMatch, style } : tag;
+}
 
-function createGeneratedMediaElement(result, tag) {
+function isGeneratedVideoResult(value) {
+    return Boolean(value) && typeof value === 'object' && value.kind === 'video' && typeof value.dataUrl === 'string';
+}
+
+function buildGeneratedMediaTitle(tag, provider = '') {
+    const lines = [`Style: ${tag.style}`, `Prompt: ${tag.prompt}`];
+    if (provider) {
+        lines.push(`Provider: ${provider}`);
+    }
+    return lines.join('\n');
+}
+
+function createGeneratedMediaElement(result, tag, provider = '') {
     if (isGeneratedVideoResult(result)) {
         const video = document.createElement('video');
         video.className = 'iig-generated-video';
@@ -2268,66 +4083,266 @@ function createGeneratedMediaElement(result, tag) {
         video.loop = true;
         video.muted = true;
         video.playsInline = true;
-        video.title = `Style: ${tag.style}\nPrompt: ${tag.prompt}`;
+        video.title = buildGeneratedMediaTitle(tag, provider);
         if (result.posterDataUrl) {
             video.poster = result.posterDataUrl;
         }
         return video;
     }
 
-    const img = document.createElement('img');
-    img.className = 'iig-generated-image';
-    img.src = result;
-    img.alt = tag.prompt;
-    img.title = `Style: ${tag.style}\nPrompt: ${tag.prompt}`;
-    return img;
+    const img = document.createElement('img');
+    img.className = 'iig-generated-image';
+    img.src = result;
+    img.alt = tag.prompt;
+    img.title = buildGeneratedMediaTitle(tag, provider);
+    return img;
+}
+
+function buildPersistedVideoTag(templateHtml, persistedSrc, posterSrc = '') {
+    let html = String(templateHtml || '').trim()
+        .replace(/^<(?:img|video)\b/i, '<video controls autoplay loop muted playsinline')
+        .replace(/<\/video>\s*$/i, '')
+        .replace(/\/?>\s*$/i, '')
+        .replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${persistedSrc}"`);
+    html = html.replace(/\s+poster\s*=\s*(['"])[\s\S]*?\1/i, '');
+    if (posterSrc) {
+        html = html.replace(/^<video\b/i, `<video poster="${sanitizeForHtml(posterSrc)}"`);
+    }
+    return `${html}></video>`;
+}
+
+function buildPendingLegacyTag(tag) {
+    const instruction = sanitizeForSingleQuotedAttribute(getInstructionAttributeValue(tag));
+    const idAttribute = tag.id ? ` data-iig-id="${sanitizeForHtml(tag.id)}"` : '';
+    return `<img${idAttribute} data-iig-instruction='${instruction}' src="[IMG:GEN]">`;
+}
+
+/**
+ * The tag back in its waiting state; new-format tags keep their element and attributes, only src changes
+ */
+function buildPendingMediaTag(tag) {
+    const templateHtml = tag.isNewFormat ? tag.fullMatch : buildPendingLegacyTag(tag);
+    return templateHtml.replace(/src\s*=\s*(['"])[^'"]*\1/i, 'src="[IMG:GEN]"');
+}
+
+/**
+ * New-format tag pointing at error.svg; keeps the instruction so the image can be retried
+ */
+function buildErrorMediaTag(tag) {
+    const templateHtml = tag.isNewFormat ? tag.fullMatch : buildPendingLegacyTag(tag);
+    return templateHtml.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${ERROR_IMAGE_PATH}"`);
+}
+
+function buildPersistedImageTag(tag, persistedSrc) {
+    const templateHtml = tag?.isNewFormat ? tag.fullMatch : buildPendingLegacyTag(tag);
+    return String(templateHtml || '').replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${persistedSrc}"`);
+}
+
+/**
+ * Set (or replace) a double-quoted attribute on the opening tag of an HTML snippet.
+ */
+function setHtmlTagAttribute(html, name, value) {
+    const escapedValue = sanitizeForHtml(String(value)).replace(/"/g, '&quot;');
+    const attributePattern = new RegExp(`\\s${name}\\s*=\\s*(['"])[\\s\\S]*?\\1`, 'i');
+    if (attributePattern.test(html)) {
+        return html.replace(attributePattern, ` ${name}="${escapedValue}"`);
+    }
+    return html.replace(/^<(img|video)\b/i, `<$1 ${name}="${escapedValue}"`);
+}
+
+function buildPersistedMediaTag(tag, generated, persistedSrc, posterSrc = '', provider = '') {
+    const html = isGeneratedVideoResult(generated)
+        ? buildPersistedVideoTag(tag?.fullMatch, persistedSrc, posterSrc)
+        : buildPersistedImageTag(tag, persistedSrc);
+    // A data attribute, so a title the LLM or the user put on the tag stays as is
+    return provider ? setHtmlTagAttribute(html, 'data-iig-provider', provider) : html;
+}
+
+function convertLegacyTagsToInstructionFormat(message, tags) {
+    let convertedLegacyTags = 0;
+
+    for (const tag of tags) {
+        if (tag.isNewFormat) {
+            continue;
+        }
+
+        tag.id = tag.id || createImageTagId();
+        // A failed legacy tag stays failed until the regeneration actually succeeds
+        const pendingTag = tag.isLegacyError ? buildErrorMediaTag(tag) : buildPendingLegacyTag(tag);
+        replaceTagInMessageSource(message, tag, pendingTag);
+        tag.fullMatch = pendingTag;
+        tag.isNewFormat = true;
+        convertedLegacyTags += 1;
+    }
+
+    return convertedLegacyTags;
+}
+
+function createImageTagId() {
+    return `iig-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getHtmlTagId(html) {
+    const match = String(html || '').match(/\sdata-iig-id\s*=\s*(['"])([^'"]+)\1/i);
+    return match ? match[2] : null;
+}
+
+/**
+ * Give every instruction tag in the message source a unique data-iig-id.
+ * Tags from `tags` that were rewritten get their fullMatch and id updated in place.
+ * Legacy [IMG:GEN:...] tags get their id when converted to the instruction format.
+ */
+async function ensureMessageTagIds(message, tags = []) {
+    const sourceTags = await parseMessageImageTags(message, { forceAll: true });
+    const seenIds = new Set();
+    const updatedTags = new Set();
+    let assignedIds = 0;
+
+    for (const sourceTag of sourceTags) {
+        if (!sourceTag.isNewFormat) {
+            continue;
+        }
+        // The LLM may copy a tag (id included) from an earlier message, so duplicates get a fresh id too
+        if (sourceTag.id && !seenIds.has(sourceTag.id)) {
+            seenIds.add(sourceTag.id);
+            continue;
+        }
+
+        const id = createImageTagId();
+        seenIds.add(id);
+        const updatedMatch = setHtmlTagAttribute(sourceTag.fullMatch, 'data-iig-id', id);
+        replaceTagInMessageSource(message, sourceTag, updatedMatch);
+        assignedIds += 1;
+
+        const tag = tags.find(candidate => !updatedTags.has(candidate)
+            && candidate.sourceKey === sourceTag.sourceKey
+            && candidate.fullMatch === sourceTag.fullMatch);
+        if (tag) {
+            tag.fullMatch = updatedMatch;
+            tag.id = id;
+            updatedTags.add(tag);
+        }
+    }
+
+    return assignedIds;
+}
+
+/**
+ * Generation history per tag lives in message.extra.iig_versions: { [tagId]: [{ src, posterSrc, kind, provider }] }.
+ * The version currently shown is whichever src the tag in message.mes points at.
+ */
+function getTagVersions(message, tagId) {
+    const versions = message?.extra?.iig_versions?.[tagId];
+    return Array.isArray(versions) ? versions : [];
+}
+
+/**
+ * Object whose `extra` holds the data of the given swipe: the message itself while that swipe is shown
+ */
+function getSwipeExtraHolder(message, swipeId) {
+    return swipeId === message.swipe_id ? message : { extra: message.swipe_info?.[swipeId]?.extra };
 }
 
-function buildPersistedVideoTag(templateHtml, persistedSrc, posterSrc = '') {
-    let html = String(templateHtml || '').trim()
-        .replace(/^<(?:img|video)\b/i, '<video controls autoplay loop muted playsinline')
-        .replace(/<\/video>\s*$/i, '')
-        .replace(/\/?>\s*$/i, '')
-        .replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${persistedSrc}"`);
-    html = html.replace(/\s+poster\s*=\s*(['"])[\s\S]*?\1/i, '');
-    if (posterSrc) {
-        html = html.replace(/^<video\b/i, `<video poster="${sanitizeForHtml(posterSrc)}"`);
+/**
+ * Set (or delete, when value is undefined) a per-tag entry of a map in message.extra
+ */
+function setTagExtraEntry(message, extraKey, tagId, value, swipeId = message.swipe_id) {
+    const isCurrentSwipe = swipeId === message.swipe_id;
+    const swipeInfo = message.swipe_info?.[swipeId];
+    const entries = { ...(getSwipeExtraHolder(message, swipeId).extra?.[extraKey] || {}) };
+    if (value === undefined) {
+        delete entries[tagId];
+    } else {
+        entries[tagId] = value;
+    }
+
+    if (isCurrentSwipe) {
+        if (!message.extra) message.extra = {};
+        message.extra[extraKey] = entries;
+    }
+    // Keep the swipe copy in sync so the data survives swiping away and back
+    if (swipeInfo) {
+        if (!swipeInfo.extra) swipeInfo.extra = {};
+        swipeInfo.extra[extraKey] = entries;
     }
-    return `${html}></video>`;
 }
 
-function buildPendingLegacyTag(tag) {
-    const instruction = sanitizeForSingleQuotedAttribute(getInstructionAttributeValue(tag));
-    return `<img data-iig-instruction='${instruction}' src="[IMG:GEN]">`;
+function setTagVersions(message, tag, versions) {
+    setTagExtraEntry(message, 'iig_versions', tag.id, versions, tag.swipeId ?? message.swipe_id);
 }
 
-function buildPersistedImageTag(tag, persistedSrc) {
-    const templateHtml = tag?.isNewFormat ? tag.fullMatch : buildPendingLegacyTag(tag);
-    return String(templateHtml || '').replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${persistedSrc}"`);
+/**
+ * Failure details per tag in message.extra.iig_errors, shown by the error placeholder
+ */
+function getTagError(message, tagId) {
+    return message?.extra?.iig_errors?.[tagId] || null;
 }
 
-function buildPersistedMediaTag(tag, generated, persistedSrc, posterSrc = '') {
-    return isGeneratedVideoResult(generated)
-        ? buildPersistedVideoTag(tag?.fullMatch, persistedSrc, posterSrc)
-        : buildPersistedImageTag(tag, persistedSrc);
+function recordTagError(message, tag, error) {
+    setTagExtraEntry(message, 'iig_errors', tag.id, {
+        message: String(error?.message || error || ''),
+        status: Number.isInteger(error?.status) ? error.status : null,
+        code: error?.code ? String(error.code) : null,
+        provider: error?.provider || null,
+        request: error?.requestSummary || null,
+        time: new Date().toISOString(),
+    }, tag.swipeId ?? message.swipe_id);
 }
 
-function convertLegacyTagsToInstructionFormat(message, tags) {
-    let convertedLegacyTags = 0;
+function clearTagError(message, tag) {
+    const swipeId = tag.swipeId ?? message.swipe_id;
+    if (getTagError(getSwipeExtraHolder(message, swipeId), tag.id)) {
+        setTagExtraEntry(message, 'iig_errors', tag.id, undefined, swipeId);
+    }
+}
 
-    for (const tag of tags) {
-        if (tag.isNewFormat) {
-            continue;
-        }
+/**
+ * Version currently persisted in the tag, or null when it has no generated file yet
+ */
+function getTagCurrentVersion(tag) {
+    if (!tag?.existingSrc || isErrorImageSrc(tag.existingSrc)) {
+        return null;
+    }
 
-        const pendingTag = buildPendingLegacyTag(tag);
-        replaceTagInMessageSource(message, tag, pendingTag);
-        tag.fullMatch = pendingTag;
-        tag.isNewFormat = true;
-        convertedLegacyTags += 1;
+    const posterMatch = String(tag.fullMatch || '').match(/\sposter\s*=\s*(['"])([^'"]*)\1/i);
+    return {
+        src: tag.existingSrc,
+        posterSrc: posterMatch ? posterMatch[2] : '',
+        kind: tag.mediaTagName === 'video' ? 'video' : 'image',
+        provider: '',
+    };
+}
+
+function recordTagVersion(message, tag, version, previousVersion = null) {
+    const source = getSwipeExtraHolder(message, tag.swipeId ?? message.swipe_id);
+    const versions = getTagVersions(source, tag.id).filter(item => item.src !== version.src);
+    if (previousVersion && !versions.some(item => item.src === previousVersion.src)) {
+        versions.push(previousVersion);
+    }
+    versions.push(version);
+    setTagVersions(message, tag, versions);
+}
+
+function buildTagForVersion(tag, version) {
+    if (version.kind === 'video') {
+        return buildPersistedMediaTag(
+            tag,
+            { kind: 'video', dataUrl: version.src },
+            version.src,
+            version.posterSrc || '',
+            version.provider || ''
+        );
     }
+    // A <video> template can't become an <img> by swapping src, so rebuild it from the instruction
+    const imageTag = tag.mediaTagName === 'video' ? { ...tag, isNewFormat: false } : tag;
+    return buildPersistedMediaTag(imageTag, version.src, version.src, '', version.provider || '');
+}
 
-    return convertedLegacyTags;
+function findTagMediaElement(container, tagId) {
+    if (!container || !tagId) {
+        return null;
+    }
+    return container.querySelector(`[data-iig-id="${CSS.escape(tagId)}"]`);
 }
 
 function rerenderMessageHtml(context, message, settings, messageId, mesTextEl) {
@@ -2349,60 +4364,120 @@ function rerenderMessageHtml(context, message, settings, messageId, mesTextEl) {
 }
 
 /**
- * Generate image with retry logic
- * @param {string} prompt - Image description
- * @param {string} style - Style tag
- * @param {function} onStatusUpdate - Status callback
- * @param {object} options - Additional options (aspectRatio, quality)
+ * Resolve which references the active provider accepts and in which format.
+ * Returns null when the provider (or its current model) takes no reference images.
  */
-async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
-    // Validate settings first
-    validateSettings();
-    
-    const settings = getSettings();
-    const maxRetries = settings.maxRetries;
-    const baseDelay = settings.retryDelay;
-    const normalizedNaisteraModel = normalizeNaisteraModel(options.model || settings.naisteraModel);
-    const naisteraRefsSupported = naisteraModelSupportsReferences(normalizedNaisteraModel);
-    
-    // Collect reference images (provider-specific)
-    const referenceImages = [];
-    const referenceDataUrls = [];
-
-    // Gemini/nano-banana references: base64 only
-    if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
-        if (settings.sendCharAvatar) {
-            const charAvatar = await getCharacterAvatarBase64();
-            if (charAvatar) referenceImages.push(charAvatar);
+function getProviderReferenceConfig(settings = getConnectionSettings(), options = {}) {
+    if (settings.apiType === 'naistera') {
+        if (!naisteraModelSupportsReferences(options.model || settings.naisteraModel)) {
+            return null;
         }
-        if (settings.sendUserAvatar) {
-            const userAvatar = await getUserAvatarBase64();
-            if (userAvatar) referenceImages.push(userAvatar);
+        return {
+            format: 'dataUrl',
+            sendCharAvatar: settings.naisteraSendCharAvatar,
+            sendUserAvatar: settings.naisteraSendUserAvatar,
+        };
+    }
+
+    if (settings.apiType === 'sdwebui') {
+        if (normalizeSdWebUiReferenceMode(settings.sdReferenceMode) === 'off') {
+            return null;
         }
+        return {
+            format: 'base64',
+            sendCharAvatar: settings.sdSendCharAvatar,
+            sendUserAvatar: settings.sdSendUserAvatar,
+        };
     }
 
-    // Naistera references: data URLs (server uploads to Grok)
-    if (settings.apiType === 'naistera' && naisteraRefsSupported) {
-        if (settings.naisteraSendCharAvatar) {
-            const d = await getCharacterAvatarDataUrl();
-            if (d) referenceDataUrls.push(d);
+    if (settings.apiType === 'comfyui') {
+        // Nothing to collect if the workflow has no {reference_N} slots
+        if (getComfyWorkflowReferenceSlotCount(settings.comfyWorkflow) === 0) {
+            return null;
         }
-        if (settings.naisteraSendUserAvatar) {
-            const d = await getUserAvatarDataUrl();
-            if (d) referenceDataUrls.push(d);
+        return {
+            format: 'dataUrl',
+            sendCharAvatar: settings.comfySendCharAvatar,
+            sendUserAvatar: settings.comfySendUserAvatar,
+        };
+    }
+
+    if (settings.apiType === 'custom') {
+        // References only go out when the body template has a {{references}} slot
+        if (!/\{\{\s*references\s*\}\}/.test(settings.customBodyTemplate || '')) {
+            return null;
         }
+        return {
+            format: normalizeCustomReferenceFormat(settings.customReferenceFormat),
+            sendCharAvatar: settings.customSendCharAvatar,
+            sendUserAvatar: settings.customSendUserAvatar,
+        };
     }
 
-    const matchedAdditionalRefs = getMatchedAdditionalReferences(prompt);
-    if (matchedAdditionalRefs.length > 0) {
-        iigLog(
-            'INFO',
-            `Matched additional refs: ${matchedAdditionalRefs.map((ref) => `${ref.name} [${ref.matchMode}] => ${ref.description || ref.name}`).join(', ')}`
-        );
+    if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
+        return {
+            format: 'base64',
+            sendCharAvatar: settings.sendCharAvatar,
+            sendUserAvatar: settings.sendUserAvatar,
+        };
+    }
+
+    // Data URLs keep the mime type for the multipart upload
+    if (settings.apiType === 'openai' && settings.openaiImageEdits) {
+        return {
+            format: 'dataUrl',
+            sendCharAvatar: settings.openaiSendCharAvatar,
+            sendUserAvatar: settings.openaiSendUserAvatar,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * The chat-dependent inputs of a generation, taken when it is queued: the job may only start
+ * after the user has opened another chat, and must still use its own chat's avatars and images.
+ */
+async function captureGenerationChatSnapshot(messageId) {
+    const context = SillyTavern.getContext();
+    return {
+        characterName: context.characters?.[context.characterId]?.name || '',
+        characterAvatarUrl: getCharacterAvatarUrl(),
+        userAvatarUrl: await getSelectedUserAvatarUrl().catch((error) => {
+            console.error('[IIG] Error getting user avatar:', error);
+            return null;
+        }),
+        // Each provider may take a different number, so keep the most any of them can ask for
+        contextImageUrls: getPreviousGeneratedImageUrls(messageId, MAX_CONTEXT_IMAGES),
+        assistantOrdinal: getAssistantMessageOrdinal(messageId),
+    };
+}
+
+/**
+ * Collect avatar, additional and image-context references for one generation.
+ * Order: {{char}} avatar, {{user}} avatar, matched additional refs, previous images.
+ * @param {object} chatSnapshot - from captureGenerationChatSnapshot
+ */
+async function collectGenerationReferences(referenceConfig, matchedAdditionalRefs = [], chatSnapshot = {}, settings = getSettings()) {
+    const references = [];
+    if (!referenceConfig) {
+        return references;
+    }
+
+    const useDataUrls = referenceConfig.format === 'dataUrl';
+    const convert = useDataUrls ? imageUrlToDataUrl : imageUrlToBase64;
+
+    if (referenceConfig.sendCharAvatar && chatSnapshot.characterAvatarUrl) {
+        const charAvatar = await convert(chatSnapshot.characterAvatarUrl);
+        if (charAvatar) references.push(charAvatar);
+    }
+    if (referenceConfig.sendUserAvatar && chatSnapshot.userAvatarUrl) {
+        const userAvatar = await convert(chatSnapshot.userAvatarUrl);
+        if (userAvatar) references.push(userAvatar);
     }
 
     for (const ref of matchedAdditionalRefs) {
-        if (referenceImages.length >= MAX_GENERATION_REFERENCE_IMAGES && referenceDataUrls.length >= MAX_GENERATION_REFERENCE_IMAGES) {
+        if (references.length >= MAX_GENERATION_REFERENCE_IMAGES) {
             break;
         }
 
@@ -2411,91 +4486,156 @@ async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {
             continue;
         }
 
-        if ((settings.apiType === 'gemini' || isGeminiModel(settings.model)) && referenceImages.length < MAX_GENERATION_REFERENCE_IMAGES) {
-            const b64 = await imageUrlToBase64(imagePath);
-            if (b64) {
-                referenceImages.push(b64);
-            }
-        }
-
-        if (settings.apiType === 'naistera' && naisteraRefsSupported && referenceDataUrls.length < MAX_GENERATION_REFERENCE_IMAGES) {
-            const dataUrl = await imageUrlToDataUrl(imagePath);
-            if (dataUrl) {
-                referenceDataUrls.push(dataUrl);
-            }
+        const converted = await convert(imagePath);
+        if (converted) {
+            references.push(converted);
         }
     }
 
     if (settings.imageContextEnabled) {
-        const contextCount = normalizeImageContextCount(settings.imageContextCount);
-        if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
-            const contextRefs = await collectPreviousContextReferences(
-                options.messageId,
-                'base64',
-                contextCount
-            );
-            referenceImages.push(...contextRefs);
-        }
-        if (settings.apiType === 'naistera' && naisteraRefsSupported) {
-            const contextRefs = await collectPreviousContextReferences(
-                options.messageId,
-                'dataUrl',
-                contextCount
-            );
-            referenceDataUrls.push(...contextRefs);
+        const contextRefs = await collectPreviousContextReferences(
+            (chatSnapshot.contextImageUrls || []).slice(0, normalizeImageContextCount(settings.imageContextCount)),
+            useDataUrls ? 'dataUrl' : 'base64'
+        );
+        references.push(...contextRefs);
+    }
+
+    if (references.length > MAX_GENERATION_REFERENCE_IMAGES) {
+        references.length = MAX_GENERATION_REFERENCE_IMAGES;
+    }
+
+    return references;
+}
+
+/**
+ * Decide from the structured error fields whether another attempt can help.
+ * Content and auth failures (400/401/403) are never retried.
+ */
+function isRetryableGenerationError(error) {
+    if (isAbortError(error)) {
+        return false;
+    }
+    if (Number.isInteger(error?.status) && error.status > 0) {
+        if (NON_RETRYABLE_HTTP_STATUSES.has(error.status)) {
+            return false;
         }
+        return RETRYABLE_HTTP_STATUSES.has(error.status);
     }
+    // Timeouts: our own waits, and fetch() under AbortSignal.timeout()
+    if (error?.code === 'timeout' || error?.name === 'TimeoutError') {
+        return true;
+    }
+    // fetch() rejects with a TypeError when the request never reached the server
+    return error?.code === 'network' || (error?.name === 'TypeError' && /fetch|network/i.test(error.message || ''));
+}
+
+/**
+ * Whether a fallback profile may help: the provider was unreachable, overloaded or timed out.
+ * Content and auth rejections (400/401/403, unusable responses) would only repeat on every profile.
+ */
+function isProviderFallbackError(error) {
+    return isRetryableGenerationError(error) || PROVIDER_UNAVAILABLE_HTTP_STATUSES.has(error?.status);
+}
 
-    if (referenceImages.length > MAX_GENERATION_REFERENCE_IMAGES) {
-        referenceImages.length = MAX_GENERATION_REFERENCE_IMAGES;
+/**
+ * Server guidance (Retry-After) wins over exponential backoff; both get jitter so parallel tags do not retry in lockstep.
+ */
+function getRetryDelayMs(error, attempt, baseDelay) {
+    if (Number.isFinite(error?.retryAfterMs) && error.retryAfterMs > 0) {
+        // Never earlier than the server asked for
+        return Math.round(error.retryAfterMs * (1 + Math.random() * 0.1));
     }
-    if (referenceDataUrls.length > MAX_GENERATION_REFERENCE_IMAGES) {
-        referenceDataUrls.length = MAX_GENERATION_REFERENCE_IMAGES;
+    const backoff = baseDelay * Math.pow(2, attempt);
+    return Math.round(backoff * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * What was sent to the provider, without keys, headers or reference image data
+ */
+function buildRedactedRequestSummary(settings, prompt, style, options, referenceCount) {
+    let endpoint = '';
+    if (settings.endpoint) {
+        try {
+            // Origin only: some providers take the key in the query string
+            endpoint = new URL(settings.endpoint).origin;
+        } catch (_error) {
+            endpoint = '(некорректный URL)';
+        }
     }
+    const promptText = String(prompt || '');
+
+    return {
+        apiType: settings.apiType,
+        endpoint,
+        model: settings.apiType === 'naistera' ? settings.naisteraModel : settings.model,
+        style: options.styleOverride || style || '',
+        prompt: promptText.length > 300 ? `${promptText.slice(0, 300)}…` : promptText,
+        aspectRatio: options.aspectRatio || '',
+        imageSize: options.imageSize || '',
+        quality: options.quality || '',
+        references: referenceCount,
+    };
+}
+
+/**
+ * Run one provider's generator, retrying transient failures
+ */
+async function generateWithProvider(prompt, style, onStatusUpdate, options, connectionEntry, matchedAdditionalRefs) {
+    const settings = getConnectionSettings(connectionEntry.config);
+    validateSettings(settings);
+
+    const maxRetries = settings.maxRetries;
+    const baseDelay = settings.retryDelay;
+    // Each provider takes its own reference format (base64 vs data URL), so collect per provider
+    const referenceConfig = getProviderReferenceConfig(settings);
+    const references = await collectGenerationReferences(referenceConfig, matchedAdditionalRefs, options.chatSnapshot, settings);
+    // The tag-level model is already baked into the primary connection config
+    const providerOptions = { ...options, provider: undefined, model: undefined, connection: connectionEntry.config, matchedAdditionalRefs, onStatusUpdate };
 
     const enableVideoTest = settings.apiType === 'naistera'
         && settings.naisteraVideoTest
-        && shouldUseNaisteraVideoTest(options.model || settings.naisteraModel)
-        && shouldTriggerNaisteraVideoForMessage(options.messageId, settings.naisteraVideoEveryN);
+        && shouldUseNaisteraVideoTest(settings.naisteraModel)
+        && shouldTriggerNaisteraVideoForMessage(options.chatSnapshot?.assistantOrdinal ?? 1, settings.naisteraVideoEveryN);
     
     let lastError;
+    let totalWaitMs = 0;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        options.signal?.throwIfAborted();
         try {
             onStatusUpdate?.(`Генерация${attempt > 0 ? ` (повтор ${attempt}/${maxRetries})` : ''}...`);
             let generated;
             // Choose API based on type or model
             if (settings.apiType === 'naistera') {
                 generated = await generateImageNaistera(prompt, style, {
-                    ...options,
-                    referenceImages: referenceDataUrls,
-                    matchedAdditionalRefs,
+                    ...providerOptions,
+                    referenceImages: references,
                     videoTestMode: enableVideoTest,
                     videoEveryN: settings.naisteraVideoEveryN,
                 });
+            } else if (settings.apiType === 'sdwebui') {
+                generated = await generateImageSdWebUi(prompt, style, references, providerOptions);
+            } else if (settings.apiType === 'comfyui') {
+                generated = await generateImageComfyUi(prompt, style, references, providerOptions);
+            } else if (settings.apiType === 'custom') {
+                generated = await generateImageCustom(prompt, style, references, providerOptions);
             } else if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
-                generated = await generateImageGemini(prompt, style, referenceImages, {
-                    ...options,
-                    matchedAdditionalRefs,
-                });
+                generated = await generateImageGemini(prompt, style, references, providerOptions);
             } else {
-                generated = await generateImageOpenAI(prompt, style, referenceImages, {
-                    ...options,
-                    matchedAdditionalRefs,
-                });
+                generated = await generateImageOpenAI(prompt, style, references, providerOptions);
             }
 
             if (generated && typeof generated === 'object' && generated.kind === 'video') {
                 iigLog(
                     'INFO',
-                    `Generation result: apiType=${settings.apiType} kind=video mime=${generated.contentType} poster=${generated.posterDataUrl ? 'yes' : 'no'}`
+                    `Generation result: provider=${connectionEntry.label} kind=video mime=${generated.contentType} poster=${generated.posterDataUrl ? 'yes' : 'no'}`
                 );
             } else if (typeof generated === 'string' && generated.startsWith('data:')) {
                 try {
                     const parsed = parseImageDataUrl(generated);
                     iigLog(
                         'INFO',
-                        `Generation result: apiType=${settings.apiType} mime=${parsed.mimeType} subtype=${parsed.subtype} b64len=${parsed.base64Data.length}`
+                        `Generation result: provider=${connectionEntry.label} mime=${parsed.mimeType} subtype=${parsed.subtype} b64len=${parsed.base64Data.length}`
                     );
                 } catch (parseErr) {
                     iigLog(
@@ -2506,35 +4646,176 @@ async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {
             } else {
                 iigLog(
                     'INFO',
-                    `Generation result is non-data-url: apiType=${settings.apiType} value=${String(generated).slice(0, 160)}`
+                    `Generation result is non-data-url: provider=${connectionEntry.label} value=${String(generated).slice(0, 160)}`
                 );
             }
             return generated;
         } catch (error) {
             lastError = error;
-            console.error(`[IIG] Generation attempt ${attempt + 1} failed:`, error);
-            
-            // Check if retryable
-            const isRetryable = error.message?.includes('429') ||
-                               error.message?.includes('503') ||
-                               error.message?.includes('502') ||
-                               error.message?.includes('504') ||
-                               error.message?.includes('timeout') ||
-                               error.message?.includes('network');
+            if (isAbortError(error)) {
+                throw error;
+            }
+            console.error(`[IIG] Generation attempt ${attempt + 1} failed (${connectionEntry.label}):`, error);
             
-            if (!isRetryable || attempt === maxRetries) {
+            if (!isRetryableGenerationError(error) || attempt === maxRetries) {
                 break;
             }
             
-            const delay = baseDelay * Math.pow(2, attempt);
-            onStatusUpdate?.(`Повтор через ${delay / 1000}с...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            const delay = getRetryDelayMs(error, attempt, baseDelay);
+            if (totalWaitMs + delay > MAX_RETRY_TOTAL_WAIT_MS) {
+                iigLog('WARN', `Retry after ${delay}ms would exceed max total wait ${MAX_RETRY_TOTAL_WAIT_MS}ms, giving up on ${connectionEntry.label}`);
+                break;
+            }
+            totalWaitMs += delay;
+            iigLog(
+                'INFO',
+                `Retrying ${connectionEntry.label} in ${delay}ms (status=${error.status ?? '-'} code=${error.code || '-'} retryAfter=${error.retryAfterMs ?? '-'})`
+            );
+            onStatusUpdate?.(`Повтор через ${Math.ceil(delay / 1000)}с...`);
+            await waitWithSignal(delay, options.signal);
         }
     }
     
+    if (lastError && typeof lastError === 'object') {
+        lastError.provider = connectionEntry.label;
+        lastError.requestSummary = buildRedactedRequestSummary(settings, prompt, style, options, references.length);
+    }
+    throw lastError;
+}
+
+/**
+ * Generate image with retry logic, falling back to the next configured profile when a provider fails.
+ * Each provider tried, the primary and each fallback, runs only in a free slot of that provider (its maxConcurrency);
+ * until then the job waits in the global queue and the placeholder shows its position.
+ * @param {string} prompt - Image description
+ * @param {string} style - Style tag
+ * @param {function} onStatusUpdate - Status callback
+ * @param {object} options - Additional options (aspectRatio, quality, provider, model)
+ * @returns {Promise<{result: string|object, provider: string}>} Generated media and the label of the provider that produced it
+ */
+async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
+    const chain = getGenerationConnectionChain({ provider: options.provider, model: options.model });
+
+    const matchedAdditionalRefs = getMatchedAdditionalReferences(prompt);
+    if (matchedAdditionalRefs.length > 0) {
+        iigLog(
+            'INFO',
+            `Matched additional refs: ${matchedAdditionalRefs.map((ref) => `${ref.name} [${ref.matchMode}] => ${ref.description || ref.name}`).join(', ')}`
+        );
+    }
+
+    let lastError;
+
+    for (let index = 0; index < chain.length; index++) {
+        const connectionEntry = chain[index];
+        if (index > 0) {
+            iigLog('WARN', `Falling back to provider ${connectionEntry.label} after: ${lastError?.message}`);
+            onStatusUpdate?.(`Резервный провайдер: ${connectionEntry.label}...`);
+        }
+
+        try {
+            const release = await acquireProviderSlot(connectionEntry, onStatusUpdate, options.signal);
+            let result;
+            try {
+                result = await generateWithProvider(prompt, style, onStatusUpdate, options, connectionEntry, matchedAdditionalRefs);
+            } finally {
+                release();
+            }
+            iigLog('INFO', `Generated by provider ${connectionEntry.label}${index > 0 ? ` (fallback ${index}/${chain.length - 1})` : ''}`);
+            return { result, provider: connectionEntry.label };
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            lastError = error;
+            if (error && typeof error === 'object' && !error.provider) {
+                error.provider = connectionEntry.label;
+            }
+            iigLog('ERROR', `Provider ${connectionEntry.label} failed: ${error.message}`);
+            if (!isProviderFallbackError(error)) {
+                if (index < chain.length - 1) {
+                    iigLog('WARN', `Not falling back: ${connectionEntry.label} rejected the request (status=${error.status ?? '-'})`);
+                }
+                break;
+            }
+        }
+    }
+
     throw lastError;
 }
 
+/**
+ * Limit of a provider as configured right now, so a changed setting applies to jobs already waiting
+ */
+function getProviderConcurrencyLimit(providerKey) {
+    const profile = ensureConnectionProfiles(getSettings()).find((item) => item.id === providerKey);
+    return normalizeMaxConcurrency(profile?.config?.maxConcurrency);
+}
+
+/**
+ * Wait in the global queue for a slot of this provider.
+ * @returns {Promise<function>} call it to free the slot
+ */
+function acquireProviderSlot(connectionEntry, onStatusUpdate, signal) {
+    const waiter = { providerKey: connectionEntry.id || connectionEntry.label, onStatusUpdate };
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            const queuedIndex = generationQueue.indexOf(waiter);
+            if (queuedIndex !== -1) {
+                generationQueue.splice(queuedIndex, 1);
+                reject(signal.reason);
+                pumpGenerationQueue();
+            }
+        };
+        waiter.start = () => {
+            // The signal lives through the whole retry/fallback chain; a started job no longer needs the listener
+            signal?.removeEventListener('abort', onAbort);
+            resolve(() => releaseProviderSlot(waiter.providerKey));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        generationQueue.push(waiter);
+        pumpGenerationQueue();
+    });
+}
+
+function releaseProviderSlot(providerKey) {
+    const left = (runningGenerationsByProvider.get(providerKey) || 1) - 1;
+    if (left > 0) {
+        runningGenerationsByProvider.set(providerKey, left);
+    } else {
+        runningGenerationsByProvider.delete(providerKey);
+    }
+    pumpGenerationQueue();
+}
+
+function pumpGenerationQueue() {
+    for (const waiter of [...generationQueue]) {
+        const running = runningGenerationsByProvider.get(waiter.providerKey) || 0;
+        if (running >= getProviderConcurrencyLimit(waiter.providerKey)) {
+            continue;
+        }
+
+        generationQueue.splice(generationQueue.indexOf(waiter), 1);
+        runningGenerationsByProvider.set(waiter.providerKey, running + 1);
+        waiter.start();
+    }
+
+    // Positions are counted per provider: that is the line a job actually waits in
+    const positions = new Map();
+    for (const waiter of generationQueue) {
+        const position = (positions.get(waiter.providerKey) || 0) + 1;
+        positions.set(waiter.providerKey, position);
+        waiter.onStatusUpdate?.(`В очереди: ${position}...`);
+    }
+}
+
 /**
  * Check if a file exists on the server
  */
@@ -2548,22 +4829,12 @@ async function checkFileExists(path) {
 }
 
 /**
- * Parse image generation tags from message text
- * Supports two formats:
- * 1. NEW: <img|video data-iig-instruction='{"style":"...","prompt":"..."}' src="...">
- * 2. LEGACY: [IMG:GEN:{"style":"...","prompt":"..."}]
- * 
- * @param {string} text - Message text
- * @param {object} options - Options
- * @param {boolean} options.checkExistence - Check if image files exist (for hallucination detection)
- * @param {boolean} options.forceAll - Include all instruction tags even with valid paths (for regeneration)
+ * Locate every <img|video data-iig-instruction=...> tag in the text.
+ * LLM often generates broken HTML with unescaped quotes, so we parse manually
+ * @returns {{fullMatch: string, index: number, instructionJson: string, tagName: string}[]}
  */
-async function parseImageTags(text, options = {}) {
-    const { checkExistence = false, forceAll = false } = options;
-    const tags = [];
-    
-    // === NEW FORMAT: <img|video data-iig-instruction="{...}" src="..."> ===
-    // LLM often generates broken HTML with unescaped quotes, so we parse manually
+function scanInstructionMediaTags(text) {
+    const found = [];
     const imgTagMarker = 'data-iig-instruction=';
     let searchPos = 0;
     
@@ -2650,8 +4921,48 @@ async function parseImageTags(text, options = {}) {
             continue;
         }
 
-        const fullImgTag = text.substring(mediaStart, mediaEnd);
-        const instructionJson = text.substring(jsonStart, jsonEnd);
+        found.push({
+            fullMatch: text.substring(mediaStart, mediaEnd),
+            index: mediaStart,
+            instructionJson: text.substring(jsonStart, jsonEnd),
+            tagName,
+        });
+        searchPos = mediaEnd;
+    }
+
+    return found;
+}
+
+/**
+ * Find a new-format tag by its data-iig-id in the text
+ */
+function findInstructionTagById(text, tagId) {
+    if (!tagId) {
+        return null;
+    }
+    return scanInstructionMediaTags(String(text || '')).find(mediaTag => getHtmlTagId(mediaTag.fullMatch) === tagId) || null;
+}
+
+const LEGACY_TAG_MARKERS = Object.freeze(['[IMG:GEN:', '[IMG:ERROR:']);
+
+/**
+ * Parse image generation tags from message text
+ * Supports two formats:
+ * 1. NEW: <img|video data-iig-instruction='{"style":"...","prompt":"..."}' src="...">
+ * 2. LEGACY: [IMG:GEN:{"style":"...","prompt":"..."}] (and [IMG:ERROR:{...}] in forceAll mode)
+ * 
+ * @param {string} text - Message text
+ * @param {object} options - Options
+ * @param {boolean} options.checkExistence - Check if image files exist (for hallucination detection)
+ * @param {boolean} options.forceAll - Include all instruction tags even with valid paths (for regeneration)
+ */
+async function parseImageTags(text, options = {}) {
+    const { checkExistence = false, forceAll = false } = options;
+    const tags = [];
+    
+    // === NEW FORMAT: <img|video data-iig-instruction="{...}" src="..."> ===
+    for (const mediaTag of scanInstructionMediaTags(text)) {
+        const { fullMatch: fullImgTag, index: mediaStart, instructionJson, tagName } = mediaTag;
         
         // Check if src needs generation
         const srcMatch = fullImgTag.match(/src\s*=\s*["']?([^"'\s>]+)/i);
@@ -2660,13 +4971,12 @@ async function parseImageTags(text, options = {}) {
         // Determine if this needs generation
         let needsGeneration = false;
         const hasMarker = srcValue.includes('[IMG:GEN]') || srcValue.includes('[IMG:');
-        const hasErrorImage = srcValue.includes('error.svg'); // Our error placeholder - NO auto-retry
+        const hasErrorImage = isErrorImageSrc(srcValue); // Our error placeholder - NO auto-retry
         const hasPath = srcValue && srcValue.startsWith('/') && srcValue.length > 5;
         
         // Skip error images - user must click to retry manually (prevents conflict on swipe)
         if (hasErrorImage && !forceAll) {
             iigLog('INFO', `Skipping error image (click to retry): ${srcValue.substring(0, 50)}`);
-            searchPos = imgEnd;
             continue;
         }
         
@@ -2690,12 +5000,10 @@ async function parseImageTags(text, options = {}) {
         } else if (hasPath) {
             // Has path but not checking existence - skip
             iigLog('INFO', `Skipping path (no existence check): ${srcValue.substring(0, 50)}`);
-            searchPos = imgEnd;
             continue;
         }
         
         if (!needsGeneration) {
-            searchPos = imgEnd;
             continue;
         }
         
@@ -2711,6 +5019,10 @@ async function parseImageTags(text, options = {}) {
                 preset: data.preset || null,
                 imageSize: data.image_size || data.imageSize || null,
                 quality: data.quality || null,
+                provider: data.provider || null,
+                model: data.model || null,
+                id: getHtmlTagId(fullImgTag),
+                instructionJson,
                 isNewFormat: true,
                 mediaTagName: tagName,
                 existingSrc: hasPath ? srcValue : null // Store existing src for logging
@@ -2720,136 +5032,721 @@ async function parseImageTags(text, options = {}) {
         } catch (e) {
             iigLog('WARN', `Failed to parse instruction JSON: ${instructionJson.substring(0, 100)}`, e.message);
         }
-        
-        searchPos = mediaEnd;
     }
     
-    // === LEGACY FORMAT: [IMG:GEN:{...}] ===
-    const marker = '[IMG:GEN:';
-    let searchStart = 0;
+    // === LEGACY FORMAT: [IMG:GEN:{...}] and failed [IMG:ERROR:{...}] ===
+    for (const marker of LEGACY_TAG_MARKERS) {
+        const isErrorMarker = marker === '[IMG:ERROR:';
+        let searchStart = 0;
     
-    while (true) {
-        const markerIndex = text.indexOf(marker, searchStart);
-        if (markerIndex === -1) break;
+        while (true) {
+            const markerIndex = text.indexOf(marker, searchStart);
+            if (markerIndex === -1) break;
         
-        const jsonStart = markerIndex + marker.length;
+            const jsonStart = markerIndex + marker.length;
         
-        // Find the matching closing brace for JSON
-        let braceCount = 0;
-        let jsonEnd = -1;
-        let inString = false;
-        let escapeNext = false;
+            if (isErrorMarker) {
+                // Older versions wrote [IMG:ERROR:<message>] and dropped the instruction; nothing to retry there
+                if (text[jsonStart] !== '{') {
+                    if (forceAll) {
+                        iigLog('WARN', `Legacy error marker without instruction can't be regenerated: ${text.substring(markerIndex, markerIndex + 60)}`);
+                    }
+                    searchStart = jsonStart;
+                    continue;
+                }
+                // Same rule as error.svg tags: no auto-retry, only user-triggered regeneration
+                if (!forceAll) {
+                    searchStart = jsonStart;
+                    continue;
+                }
+            }
         
-        for (let i = jsonStart; i < text.length; i++) {
-            const char = text[i];
+            // Find the matching closing brace for JSON
+            let braceCount = 0;
+            let jsonEnd = -1;
+            let inString = false;
+            let escapeNext = false;
+        
+            for (let i = jsonStart; i < text.length; i++) {
+                const char = text[i];
             
-            if (escapeNext) {
-                escapeNext = false;
-                continue;
-            }
+                if (escapeNext) {
+                    escapeNext = false;
+                    continue;
+                }
             
-            if (char === '\\' && inString) {
-                escapeNext = true;
-                continue;
-            }
+                if (char === '\\' && inString) {
+                    escapeNext = true;
+                    continue;
+                }
             
-            if (char === '"') {
-                inString = !inString;
-                continue;
-            }
+                if (char === '"') {
+                    inString = !inString;
+                    continue;
+                }
             
-            if (!inString) {
-                if (char === '{') {
-                    braceCount++;
-                } else if (char === '}') {
-                    braceCount--;
-                    if (braceCount === 0) {
-                        jsonEnd = i + 1;
-                        break;
+                if (!inString) {
+                    if (char === '{') {
+                        braceCount++;
+                    } else if (char === '}') {
+                        braceCount--;
+                        if (braceCount === 0) {
+                            jsonEnd = i + 1;
+                            break;
+                        }
                     }
                 }
             }
-        }
         
-        if (jsonEnd === -1) {
-            searchStart = jsonStart;
-            continue;
-        }
+            if (jsonEnd === -1) {
+                searchStart = jsonStart;
+                continue;
+            }
         
-        const jsonStr = text.substring(jsonStart, jsonEnd);
+            const jsonStr = text.substring(jsonStart, jsonEnd);
         
-        const afterJson = text.substring(jsonEnd);
-        if (!afterJson.startsWith(']')) {
-            searchStart = jsonEnd;
-            continue;
-        }
+            const afterJson = text.substring(jsonEnd);
+            if (!afterJson.startsWith(']')) {
+                searchStart = jsonEnd;
+                continue;
+            }
         
-        const tagOnly = text.substring(markerIndex, jsonEnd + 1);
+            const tagOnly = text.substring(markerIndex, jsonEnd + 1);
         
-        try {
-            const data = parseInstructionObject(jsonStr);
+            try {
+                const data = parseInstructionObject(jsonStr);
             
-            tags.push({
-                fullMatch: tagOnly,
-                index: markerIndex,
-                style: data.style || '',
-                prompt: data.prompt || '',
-                aspectRatio: data.aspect_ratio || data.aspectRatio || null,
-                preset: data.preset || null,
-                imageSize: data.image_size || data.imageSize || null,
-                quality: data.quality || null,
-                isNewFormat: false
-            });
+                tags.push({
+                    fullMatch: tagOnly,
+                    index: markerIndex,
+                    style: data.style || '',
+                    prompt: data.prompt || '',
+                    aspectRatio: data.aspect_ratio || data.aspectRatio || null,
+                    preset: data.preset || null,
+                    imageSize: data.image_size || data.imageSize || null,
+                    quality: data.quality || null,
+                    provider: data.provider || null,
+                    model: data.model || null,
+                    id: null,
+                    instructionJson: jsonStr,
+                    isNewFormat: false,
+                    isLegacyError: isErrorMarker
+                });
             
-            iigLog('INFO', `Found LEGACY format tag: ${data.prompt?.substring(0, 50)}`);
-        } catch (e) {
-            iigLog('WARN', `Failed to parse legacy tag JSON: ${jsonStr.substring(0, 100)}`, e.message);
+                iigLog('INFO', `Found LEGACY format ${isErrorMarker ? 'error ' : ''}tag: ${data.prompt?.substring(0, 50)}`);
+            } catch (e) {
+                iigLog('WARN', `Failed to parse legacy tag JSON: ${jsonStr.substring(0, 100)}`, e.message);
+            }
+        
+            searchStart = jsonEnd + 1;
+        }
+    }
+    
+    return tags;
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * setTimeout-based delay that rejects as soon as the signal is aborted
+ */
+function waitWithSignal(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Register an in-flight generation so the placeholder and message menu can cancel it
+ */
+function startGenerationTracking(tagId, messageId, swipeId) {
+    const controller = new AbortController();
+    activeGenerations.set(tagId, { controller, messageId, swipeId, chatId: getCurrentChatId() });
+    return controller;
+}
+
+function finishGenerationTracking(tagId) {
+    activeGenerations.delete(tagId);
+}
+
+function cancelGeneration(tagId) {
+    const entry = activeGenerations.get(tagId);
+    if (!entry) {
+        return false;
+    }
+    entry.controller.abort(new DOMException('Генерация отменена', 'AbortError'));
+    iigLog('INFO', `Cancelled generation ${tagId}`);
+    return true;
+}
+
+/**
+ * Cancel generations started for a swipe the user has since swiped away from
+ */
+function cancelLeftSwipeGenerations(messageId, swipeId) {
+    let cancelled = 0;
+    for (const [tagId, entry] of activeGenerations) {
+        if (entry.chatId === getCurrentChatId() && entry.messageId === messageId && entry.swipeId !== swipeId && cancelGeneration(tagId)) {
+            cancelled += 1;
+        }
+    }
+    return cancelled;
+}
+
+function cancelMessageGenerations(messageId) {
+    let cancelled = 0;
+    for (const [tagId, entry] of activeGenerations) {
+        if (entry.chatId === getCurrentChatId() && entry.messageId === messageId && cancelGeneration(tagId)) {
+            cancelled += 1;
+        }
+    }
+    return cancelled;
+}
+
+/**
+ * Create loading placeholder element
+ */
+function createLoadingPlaceholder(tagId) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'iig-loading-placeholder';
+    placeholder.dataset.tagId = tagId;
+    placeholder.innerHTML = `
+        <div class="iig-spinner"></div>
+        <div class="iig-status">Генерация картинки...</div>
+        <div class="menu_button iig-cancel-btn" title="Отменить генерацию">
+            <i class="fa-solid fa-xmark"></i>
+            <span>Отмена</span>
+        </div>
+    `;
+    placeholder.querySelector('.iig-cancel-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (cancelGeneration(tagId)) {
+            placeholder.querySelector('.iig-status').textContent = 'Отмена...';
+        }
+    });
+    return placeholder;
+}
+
+// Error image path - served from extension folder
+const ERROR_IMAGE_PATH = '/scripts/extensions/third-party/sillyimages/error.svg';
+
+/**
+ * Our error placeholder, whatever path the extension was installed under
+ */
+function isErrorImageSrc(src) {
+    return String(src || '').includes('error.svg');
+}
+
+/**
+ * Create error placeholder element - shows error.svg.
+ * Clicks are handled by initMediaToolbar: they open the error details with a retry button.
+ */
+function createErrorPlaceholder(tagId, errorMessage, tagInfo) {
+    const img = document.createElement('img');
+    img.className = 'iig-error-image';
+    img.src = ERROR_IMAGE_PATH;
+    img.alt = 'Ошибка генерации';
+    img.title = `Ошибка: ${errorMessage}`;
+    img.dataset.tagId = tagId;
+    if (tagInfo.id) {
+        img.setAttribute('data-iig-id', tagInfo.id);
+    }
+    
+    // Preserve data-iig-instruction for regenerate button functionality
+    if (tagInfo.fullMatch) {
+        const instructionMatch = tagInfo.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
+        if (instructionMatch) {
+            img.setAttribute('data-iig-instruction', instructionMatch[2]);
+        }
+    }
+    
+    return img;
+}
+
+const PENDING_JOBS_STORAGE_KEY = 'iig_pending_jobs';
+const PENDING_JOB_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generations that were running when the page went away, kept in localStorage:
+ * [{ chatId, messageId, tagId, mode, createdAt }]. The parameters are not copied: the tag's instruction
+ * is already saved with its id and is what a resumed generation reads.
+ */
+function loadPendingJobs() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PENDING_JOBS_STORAGE_KEY) || '[]');
+        return Array.isArray(parsed)
+            ? parsed.filter(job => job && job.tagId && Date.now() - Number(job.createdAt || 0) < PENDING_JOB_MAX_AGE_MS)
+            : [];
+    } catch (error) {
+        iigLog('WARN', 'Failed to read pending jobs:', error.message);
+        return [];
+    }
+}
+
+function savePendingJobs(jobs) {
+    try {
+        localStorage.setItem(PENDING_JOBS_STORAGE_KEY, JSON.stringify(jobs));
+    } catch (error) {
+        iigLog('WARN', 'Failed to store pending jobs:', error.message);
+    }
+}
+
+/**
+ * @param {'generate'|'regenerate'} mode - a generate job is finished once the tag has any src
+ */
+function rememberPendingJob(chatId, messageId, tag, mode) {
+    const jobs = loadPendingJobs().filter(job => !(job.chatId === chatId && job.tagId === tag.id));
+    jobs.push({
+        chatId,
+        messageId,
+        tagId: tag.id,
+        mode,
+        createdAt: Date.now(),
+    });
+    savePendingJobs(jobs);
+}
+
+function forgetPendingJob(chatId, tagId) {
+    const jobs = loadPendingJobs();
+    const left = jobs.filter(job => !(job.chatId === chatId && job.tagId === tagId));
+    if (left.length !== jobs.length) {
+        savePendingJobs(left);
+    }
+}
+
+/**
+ * Stored jobs of the open chat that are not running now and whose tag still waits for its image
+ */
+async function getResumablePendingJobs() {
+    const context = SillyTavern.getContext();
+    const chatId = getCurrentChatId();
+    const resumable = [];
+
+    for (const job of loadPendingJobs()) {
+        if (job.chatId !== chatId || activeGenerations.has(job.tagId)) {
+            continue;
+        }
+
+        const message = context.chat?.[job.messageId];
+        const tag = message ? await findMessageTagById(message, job.tagId) : null;
+        // A generate job is done once the tag has any src (image or error); a regenerate job while the tag exists
+        const waiting = tag && (job.mode === 'regenerate' || !tag.existingSrc);
+        if (waiting) {
+            resumable.push(job);
+        } else {
+            forgetPendingJob(job.chatId, job.tagId);
+        }
+    }
+
+    return resumable;
+}
+
+function getPendingIndicator() {
+    let indicator = document.getElementById('iig_pending_indicator');
+    if (indicator) {
+        return indicator;
+    }
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="iig_pending_indicator" class="iig-pending-indicator iig-hidden">
+            <i class="fa-solid fa-hourglass-half"></i>
+            <span class="iig-pending-indicator-text"></span>
+            <div class="menu_button iig-button-inline" data-iig-pending-action="resume">
+                <i class="fa-solid fa-play"></i> Продолжить
+            </div>
+            <div class="menu_button" data-iig-pending-action="dismiss" title="Отклонить">
+                <i class="fa-solid fa-xmark"></i>
+            </div>
+        </div>
+    `);
+    indicator = document.getElementById('iig_pending_indicator');
+    indicator.addEventListener('click', (e) => {
+        const button = e.target instanceof Element ? e.target.closest('[data-iig-pending-action]') : null;
+        if (!button) {
+            return;
+        }
+        if (button.getAttribute('data-iig-pending-action') === 'resume') {
+            resumePendingJobs().catch((error) => {
+                iigLog('ERROR', 'Failed to resume pending jobs:', error.message);
+                toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+            });
+        } else {
+            dismissPendingJobs();
+        }
+    });
+    return indicator;
+}
+
+/**
+ * Show or hide the "pending images in this chat" indicator
+ */
+async function refreshPendingIndicator() {
+    const jobs = await getResumablePendingJobs();
+    const indicator = getPendingIndicator();
+    indicator.classList.toggle('iig-hidden', jobs.length === 0);
+    const text = indicator.querySelector('.iig-pending-indicator-text');
+    if (text) {
+        text.textContent = `Незавершённые картинки в этом чате: ${jobs.length}`;
+    }
+}
+
+/**
+ * Resumed through the bulk runner: it works for messages outside the loaded part of the chat and shows progress.
+ * Every tag it runs is forgotten when done; tags it can't find were already dropped by getResumablePendingJobs.
+ */
+async function resumePendingJobs() {
+    const jobs = await getResumablePendingJobs();
+    getPendingIndicator().classList.add('iig-hidden');
+    if (jobs.length === 0) {
+        return;
+    }
+
+    iigLog('INFO', `Resuming ${jobs.length} pending job(s)`);
+    await runBulkRegeneration(
+        'Незавершённые картинки',
+        async () => jobs.map(job => ({ messageId: job.messageId, tagId: job.tagId })),
+    );
+    await refreshPendingIndicator();
+}
+
+function dismissPendingJobs() {
+    const chatId = getCurrentChatId();
+    savePendingJobs(loadPendingJobs().filter(job => job.chatId !== chatId));
+    getPendingIndicator().classList.add('iig-hidden');
+}
+
+/**
+ * The tag was edited out of the message while generating: the file exists, so offer to put it back
+ */
+function reportUnsavedResult(origin, messageId, message, tag, html, version) {
+    iigLog('WARN', `Tag ${tag.id} is gone from the message, generated file kept at ${version.src}`);
+    toastr.warning(
+        `Тег картинки изменили или удалили во время генерации, поэтому она не вставлена в сообщение. Нажмите, чтобы добавить её в конец сообщения. Файл: ${sanitizeForHtml(version.src)}`,
+        'Генерация картинок',
+        {
+            timeOut: 0,
+            extendedTimeOut: 0,
+            onclick: () => {
+                reinsertUnsavedResult(origin, messageId, message, tag, html, version).catch((error) => {
+                    iigLog('ERROR', `Failed to re-insert tag ${tag.id}:`, error.message);
+                    toastr.error(`Не удалось вставить картинку: ${error.message}`, 'Генерация картинок');
+                });
+            },
+        }
+    );
+}
+
+/**
+ * Append a result whose tag was edited away to the end of the shown swipe. The tag keeps its id and
+ * instruction, so versions, editing and regeneration work for it as before.
+ */
+async function reinsertUnsavedResult(origin, messageId, message, tag, html, version) {
+    const context = SillyTavern.getContext();
+    const current = context.chat?.[messageId];
+    if (origin.chatId !== getCurrentChatId() || !current || current.send_date !== message.send_date) {
+        toastr.error(`Сообщение больше не открыто. Файл: ${sanitizeForHtml(version.src)}`, 'Генерация картинок');
+        return;
+    }
+
+    current.mes = `${current.mes || ''}\n${html}`;
+    if (Array.isArray(current.swipes) && typeof current.swipes[current.swipe_id] === 'string') {
+        current.swipes[current.swipe_id] = current.mes;
+    }
+    if (current.extra?.display_text) {
+        current.extra.display_text = `${current.extra.display_text}\n${html}`;
+    }
+
+    const insertedTag = { ...tag, swipeId: current.swipe_id };
+    recordTagVersion(current, insertedTag, version);
+    clearTagError(current, insertedTag);
+    await context.saveChat();
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    rerenderMessageHtml(context, current, getSettings(), messageId, mesTextEl);
+    iigLog('INFO', `Re-inserted tag ${tag.id} at the end of message ${messageId}`);
+}
+
+/**
+ * Generate media for one tag through the queue and save it to a file.
+ * Avatars, context images and the upload folder come from the chat open now, not when the job leaves the queue.
+ * @param {string} mode - 'generate' | 'regenerate'; recorded with the saved file
+ * @returns {Promise<{generated: string|object, persistedSrc: string, persistedPosterSrc: string, provider: string}>}
+ */
+async function generateAndSaveTagMedia(tag, messageId, tagIndex, mode, onStatusUpdate, signal, styleOverride = '') {
+    const chatSnapshot = await captureGenerationChatSnapshot(messageId);
+    const { result: generated, provider } = await generateImageWithRetry(
+        tag.prompt,
+        tag.style,
+        onStatusUpdate,
+        { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality, preset: tag.preset, provider: tag.provider, model: tag.model, messageId, signal, styleOverride, chatSnapshot }
+    );
+
+    let persistedSrc = '';
+    let persistedPosterSrc = '';
+    if (isGeneratedVideoResult(generated)) {
+        onStatusUpdate('Сохранение видео...');
+        persistedSrc = await saveNaisteraMediaToFile(generated.dataUrl, 'video', {
+            messageId,
+            tagIndex,
+            mode: `${mode}-video`,
+            provider,
+        });
+        if (generated.posterDataUrl) {
+            onStatusUpdate('Сохранение превью...');
+            persistedPosterSrc = await saveImageToFile(generated.posterDataUrl, {
+                messageId,
+                tagIndex,
+                mode: `${mode}-video-poster`,
+                provider,
+            }, chatSnapshot.characterName);
+        }
+    } else {
+        onStatusUpdate('Сохранение...');
+        persistedSrc = await saveImageToFile(generated, {
+            messageId,
+            tagIndex,
+            mode,
+            provider,
+        }, chatSnapshot.characterName);
+    }
+
+    return { generated, persistedSrc, persistedPosterSrc, provider };
+}
+
+/**
+ * Keys that match a tag seen in the streamed text to the same tag in the final message:
+ * the instruction JSON plus its occurrence number (ids are only assigned after rendering)
+ */
+function getStreamingTagKeys(tags) {
+    const occurrences = new Map();
+    return tags.map((tag) => {
+        const base = `${tag.sourceKey || 'mes'}|${normalizeInstructionPayload(tag.instructionJson || tag.fullMatch).trim()}`;
+        const occurrence = (occurrences.get(base) || 0) + 1;
+        occurrences.set(base, occurrence);
+        return `${base}#${occurrence}`;
+    });
+}
+
+/**
+ * Watch the streamed text and start generating every tag that is already complete
+ * (closed JSON and closing `>`). processMessageTags picks the jobs up once the message is rendered.
+ */
+async function onStreamTokenReceived(text) {
+    const settings = getSettings();
+    const context = SillyTavern.getContext();
+    const messageId = context.chat.length - 1;
+    const message = context.chat[messageId];
+    if (!settings.enabled || !settings.generateWhileStreaming || !message || message.is_user) {
+        return;
+    }
+
+    const streamText = String(text || '');
+    if (!streamText.includes('data-iig-instruction') && !streamText.includes('[IMG:GEN:')) {
+        return;
+    }
+
+    let entry = streamingJobs.get(messageId);
+    if (!entry || entry.swipeId !== message.swipe_id) {
+        dropStreamingJobs(messageId);
+        entry = { swipeId: message.swipe_id, parsedLength: 0, jobs: new Map() };
+        streamingJobs.set(messageId, entry);
+    }
+
+    // A tag can only have become complete if a closing `>` or `]` arrived since the last parse
+    if (!/[>\]]/.test(streamText.slice(entry.parsedLength))) {
+        return;
+    }
+    entry.parsedLength = streamText.length;
+
+    const tags = (await parseImageTags(streamText)).map(tag => ({ ...tag, sourceKey: 'mes' }));
+    const keys = getStreamingTagKeys(tags);
+    tags.forEach((tag, index) => {
+        if (entry.jobs.has(keys[index])) {
+            return;
         }
-        
-        searchStart = jsonEnd + 1;
+        applyConfiguredStyleToTag(tag, settings);
+        entry.jobs.set(keys[index], startStreamingJob(tag, messageId, message.swipe_id, index));
+    });
+}
+
+function startStreamingJob(tag, messageId, swipeId, index) {
+    const trackingId = `iig-stream-${messageId}-${createImageTagId()}`;
+    const job = {
+        trackingId,
+        controller: startGenerationTracking(trackingId, messageId, swipeId),
+        status: 'Генерация картинки...',
+        onStatusUpdate: null,
+    };
+    iigLog('INFO', `Starting generation while streaming: ${tag.prompt.substring(0, 50)}`);
+
+    job.promise = generateAndSaveTagMedia(tag, messageId, index, 'generate', (status) => {
+        job.status = status;
+        job.onStatusUpdate?.(status);
+    }, job.controller.signal).finally(() => {
+        finishGenerationTracking(job.trackingId);
+    });
+    // Unclaimed jobs may fail with nobody awaiting them
+    job.promise.catch(() => {});
+    return job;
+}
+
+/**
+ * Hand a streaming job over to the tag it belongs to; cancellation then goes through the tag id
+ */
+function claimStreamingJob(messageId, key, tagId) {
+    const entry = streamingJobs.get(messageId);
+    const job = entry?.jobs.get(key);
+    if (!job) {
+        return null;
     }
-    
-    return tags;
+
+    entry.jobs.delete(key);
+    const tracking = activeGenerations.get(job.trackingId);
+    if (tracking) {
+        activeGenerations.delete(job.trackingId);
+        activeGenerations.set(tagId, tracking);
+        job.trackingId = tagId;
+    }
+    iigLog('INFO', `Tag ${tagId} reuses the generation started while streaming`);
+    return job;
+}
+
+function followStreamingJob(job, onStatusUpdate) {
+    job.onStatusUpdate = onStatusUpdate;
+    onStatusUpdate(job.status);
+    return job.promise;
 }
 
 /**
- * Create loading placeholder element
+ * Cancel streaming jobs of a message that no tag claimed (the final text no longer has them)
  */
-function createLoadingPlaceholder(tagId) {
-    const placeholder = document.createElement('div');
-    placeholder.className = 'iig-loading-placeholder';
-    placeholder.dataset.tagId = tagId;
-    placeholder.innerHTML = `
-        <div class="iig-spinner"></div>
-        <div class="iig-status">Генерация картинки...</div>
-    `;
-    return placeholder;
+function dropStreamingJobs(messageId) {
+    const entry = streamingJobs.get(messageId);
+    if (!entry) {
+        return;
+    }
+
+    streamingJobs.delete(messageId);
+    for (const job of entry.jobs.values()) {
+        cancelGeneration(job.trackingId);
+    }
 }
 
-// Error image path - served from extension folder
-const ERROR_IMAGE_PATH = '/scripts/extensions/third-party/sillyimages/error.svg';
+function getCurrentChatId() {
+    return String(SillyTavern.getContext().getCurrentChatId?.() ?? '');
+}
+
+function getMessageProcessingKey(messageId, chatId = getCurrentChatId()) {
+    return `${chatId}:${messageId}`;
+}
 
 /**
- * Create error placeholder element - just shows error.svg, no click handlers
- * User uses the regenerate button in message menu to retry
+ * Everything needed to find the chat file a generation started in after the user has opened another chat
  */
-function createErrorPlaceholder(tagId, errorMessage, tagInfo) {
-    const img = document.createElement('img');
-    img.className = 'iig-error-image';
-    img.src = ERROR_IMAGE_PATH;
-    img.alt = 'Ошибка генерации';
-    img.title = `Ошибка: ${errorMessage}`;
-    img.dataset.tagId = tagId;
-    
-    // Preserve data-iig-instruction for regenerate button functionality
-    if (tagInfo.fullMatch) {
-        const instructionMatch = tagInfo.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-        if (instructionMatch) {
-            img.setAttribute('data-iig-instruction', instructionMatch[2]);
+function getChatOrigin() {
+    const context = SillyTavern.getContext();
+    const character = context.groupId ? null : context.characters?.[context.characterId];
+    return {
+        chatId: getCurrentChatId(),
+        groupId: context.groupId || null,
+        characterName: character?.name || '',
+        characterAvatar: character?.avatar || '',
+    };
+}
+
+/**
+ * Replace one message in a chat file that is not open right now
+ */
+async function saveMessageToChatFile(origin, messageId, message) {
+    const context = SillyTavern.getContext();
+    const isGroup = Boolean(origin.groupId);
+    const chatRef = isGroup
+        ? { id: origin.chatId }
+        : { ch_name: origin.characterName, file_name: origin.chatId, avatar_url: origin.characterAvatar };
+
+    const getResponse = await fetch(isGroup ? '/api/chats/group/get' : '/api/chats/get', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify(chatRef),
+    });
+    if (!getResponse.ok) {
+        throw await createApiError(getResponse, 'Не удалось загрузить чат');
+    }
+
+    const chat = await getResponse.json();
+    if (!Array.isArray(chat)) {
+        throw new Error('Чат не найден');
+    }
+
+    // Character chat files (and newer group chats) start with a metadata header
+    const offset = chat.length > 0 && chat[0] && typeof chat[0].mes !== 'string' ? 1 : 0;
+    const index = offset + messageId;
+    if (chat[index]?.send_date !== message.send_date) {
+        throw new Error('Сообщение не найдено в исходном чате');
+    }
+    chat[index] = message;
+
+    const saveResponse = await fetch(isGroup ? '/api/chats/group/save' : '/api/chats/save', {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify({ ...chatRef, chat }),
+    });
+    if (!saveResponse.ok) {
+        throw await createApiError(saveResponse, 'Не удалось сохранить чат');
+    }
+}
+
+/**
+ * Persist a message updated by a generation job. While its chat is open this is saveChat plus a re-render;
+ * after a chat switch the message is written into the original chat file and the open chat is left alone.
+ */
+async function persistGeneratedMessage(origin, messageId, message, mesTextEl) {
+    const context = SillyTavern.getContext();
+
+    if (origin.chatId !== getCurrentChatId()) {
+        try {
+            await saveMessageToChatFile(origin, messageId, message);
+            iigLog('INFO', `Chat ${origin.chatId} is no longer open, message ${messageId} saved to its file`);
+            toastr.info('Картинки сохранены в чат, где их начали генерировать', 'Генерация картинок');
+        } catch (error) {
+            iigLog('ERROR', `Failed to save message ${messageId} to chat ${origin.chatId}: ${error.message}. Generated files: ${JSON.stringify(message.extra?.iig_versions || {})}`);
+            toastr.error(`Не удалось сохранить картинки в исходный чат: ${error.message}`, 'Генерация картинок');
         }
+        return;
     }
-    
-    return img;
+
+    const current = context.chat[messageId];
+    if (current !== message) {
+        // The chat was reopened while generating, so it holds freshly loaded message objects
+        if (!current || current.send_date !== message.send_date) {
+            iigLog('ERROR', `Message ${messageId} changed while generating, results not saved. Generated files: ${JSON.stringify(message.extra?.iig_versions || {})}`);
+            toastr.error('Сообщение изменилось во время генерации, картинки не вставлены. Пути к файлам — в логе расширения', 'Генерация картинок');
+            return;
+        }
+        Object.assign(current, {
+            mes: message.mes,
+            swipe_id: message.swipe_id,
+            swipes: message.swipes,
+            swipe_info: message.swipe_info,
+            extra: message.extra,
+        });
+    }
+
+    await context.saveChat();
+    const freshMesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`) || mesTextEl;
+    rerenderMessageHtml(context, current, getSettings(), messageId, freshMesTextEl);
 }
 
 /**
@@ -2861,8 +5758,12 @@ async function processMessageTags(messageId) {
     
     if (!settings.enabled) return;
     
+    // Results belong to this chat even if the user opens another one before they are ready
+    const origin = getChatOrigin();
+    const processingKey = getMessageProcessingKey(messageId, origin.chatId);
+
     // Prevent duplicate processing
-    if (processingMessages.has(messageId)) {
+    if (processingMessages.has(processingKey)) {
         iigLog('WARN', `Message ${messageId} is already being processed, skipping`);
         return;
     }
@@ -2878,11 +5779,12 @@ async function processMessageTags(messageId) {
     }
     if (tags.length === 0) {
         iigLog('INFO', 'No tags found by parser');
+        dropStreamingJobs(messageId);
         return;
     }
     
     // Mark as processing
-    processingMessages.add(messageId);
+    processingMessages.add(processingKey);
     iigLog('INFO', `Found ${tags.length} image tag(s) in message ${messageId}`);
     toastr.info(`Найдено тегов: ${tags.length}. Генерация...`, 'Генерация картинок', { timeOut: 3000 });
     
@@ -2891,119 +5793,38 @@ async function processMessageTags(messageId) {
     if (!messageElement) {
         console.error('[IIG] Message element not found for ID:', messageId);
         toastr.error('Не удалось найти элемент сообщения', 'Генерация картинок');
+        processingMessages.delete(processingKey);
         return;
     }
     
     const mesTextEl = messageElement.querySelector('.mes_text');
-    if (!mesTextEl) return;
+    if (!mesTextEl) {
+        processingMessages.delete(processingKey);
+        return;
+    }
 
+    const assignedIds = await ensureMessageTagIds(message, tags);
     const convertedLegacyTags = convertLegacyTagsToInstructionFormat(message, tags);
 
-    if (convertedLegacyTags > 0) {
+    if (assignedIds > 0 || convertedLegacyTags > 0) {
         rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
-        iigLog('INFO', `Converted ${convertedLegacyTags} legacy tag(s) to instruction tags before processing`);
+        iigLog('INFO', `Assigned ${assignedIds} tag id(s) and converted ${convertedLegacyTags} legacy tag(s) before processing`);
+        // Ids must be on disk for the pending jobs to be found again after a reload
+        await context.saveChat();
     }
     
+    const streamingKeys = getStreamingTagKeys(tags);
+
     // Process each tag in parallel
     const processTag = async (tag, index) => {
-        const tagId = `iig-${messageId}-${index}`;
+        const tagId = tag.id;
         applyConfiguredStyleToTag(tag, settings);
         
-        iigLog('INFO', `Processing tag ${index}: ${tag.fullMatch.substring(0, 50)}`);
+        iigLog('INFO', `Processing tag ${tagId}: ${tag.fullMatch.substring(0, 50)}`);
         
         // Create loading placeholder
         const loadingPlaceholder = createLoadingPlaceholder(tagId);
-        let targetElement = null;
-        
-        // NEW FORMAT: <img|video data-iig-instruction='...'> is a real DOM element
-        const allImgs = mesTextEl.querySelectorAll('img[data-iig-instruction], video[data-iig-instruction]');
-        iigLog('INFO', `Searching for media element. Found ${allImgs.length} [data-iig-instruction] elements in DOM`);
-        
-        // Debug: log what we're looking for vs what's in DOM
-        const searchPrompt = tag.prompt.substring(0, 30);
-        iigLog('INFO', `Searching for prompt starting with: "${searchPrompt}"`);
-        
-        for (const img of allImgs) {
-            const instruction = img.getAttribute('data-iig-instruction');
-            const src = img.getAttribute('src') || '';
-            iigLog('INFO', `DOM img - src: "${src.substring(0, 50)}", instruction (first 100): "${instruction?.substring(0, 100)}"`);
-            
-            // Try multiple matching strategies
-            if (instruction) {
-                // Strategy 1: Decode HTML entities and normalize quotes, then match
-                const decodedInstruction = instruction
-                    .replace(/&quot;/g, '"')
-                    .replace(/&apos;/g, "'")
-                    .replace(/&#39;/g, "'")
-                    .replace(/&#34;/g, '"')
-                    .replace(/&amp;/g, '&');
-                
-                // Also normalize the search prompt the same way
-                const normalizedSearchPrompt = searchPrompt
-                    .replace(/&quot;/g, '"')
-                    .replace(/&apos;/g, "'")
-                    .replace(/&#39;/g, "'")
-                    .replace(/&#34;/g, '"')
-                    .replace(/&amp;/g, '&');
-                
-                // Check if decoded instruction contains the prompt
-                if (decodedInstruction.includes(normalizedSearchPrompt)) {
-                    iigLog('INFO', `Found img element via decoded instruction match`);
-                    targetElement = img;
-                    break;
-                }
-                
-                // Strategy 2: Try to parse the instruction as JSON and compare prompts
-                try {
-                    const normalizedJson = decodedInstruction.replace(/'/g, '"');
-                    const instructionData = JSON.parse(normalizedJson);
-                    if (instructionData.prompt && instructionData.prompt.substring(0, 30) === tag.prompt.substring(0, 30)) {
-                        iigLog('INFO', `Found img element via JSON prompt match`);
-                        targetElement = img;
-                        break;
-                    }
-                } catch (e) {
-                    // JSON parse failed, continue with other strategies
-                }
-                
-                // Strategy 3: Raw instruction contains raw search prompt (original approach)
-                if (instruction.includes(searchPrompt)) {
-                    iigLog('INFO', `Found img element via raw instruction match`);
-                    targetElement = img;
-                    break;
-                }
-            }
-        }
-        
-        // Alternative: find by src containing markers (when prompt matching fails)
-        if (!targetElement) {
-            iigLog('INFO', `Prompt matching failed, trying src marker matching...`);
-            for (const img of allImgs) {
-                const src = img.getAttribute('src') || '';
-                // Check for generation markers or empty/broken src
-                if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]') || src === '' || src === '#') {
-                    iigLog('INFO', `Found img element with generation marker in src: "${src}"`);
-                    targetElement = img;
-                    break;
-                }
-            }
-        }
-        
-        // Strategy 4: If still not found, try looking at all media nodes
-        // This handles cases where browser didn't parse data-iig-instruction as a valid attribute
-        if (!targetElement) {
-            iigLog('INFO', `Trying broader media search...`);
-            const allImgsInMes = mesTextEl.querySelectorAll('img, video');
-            for (const img of allImgsInMes) {
-                const src = img.getAttribute('src') || '';
-                // Look for src containing our markers
-                if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]')) {
-                    iigLog('INFO', `Found img via broad search with marker src: "${src.substring(0, 50)}"`);
-                    targetElement = img;
-                    break;
-                }
-            }
-        }
+        const targetElement = findTagMediaElement(mesTextEl, tagId);
         
         // Replace target with placeholder, preserving parent styling context
         if (targetElement) {
@@ -3018,255 +5839,633 @@ async function processMessageTags(messageId) {
             targetElement.replaceWith(loadingPlaceholder);
             iigLog('INFO', `Loading placeholder shown (replaced target element)`);
         } else {
-            iigLog('WARN', `Could not find target element, appending placeholder as fallback`);
+            iigLog('WARN', `Could not find media element for tag ${tagId}, appending placeholder as fallback`);
             mesTextEl.appendChild(loadingPlaceholder);
         }
         
         const statusEl = loadingPlaceholder.querySelector('.iig-status');
+        // Started while the response was still streaming: take over that generation instead of starting another
+        const streamingJob = claimStreamingJob(messageId, streamingKeys[index], tagId);
+        const controller = streamingJob
+            ? streamingJob.controller
+            : startGenerationTracking(tagId, messageId, message.swipe_id);
+        rememberPendingJob(origin.chatId, messageId, tag, 'generate');
 
         try {
-            const generated = await generateImageWithRetry(
-                tag.prompt,
-                tag.style,
-                (status) => { statusEl.textContent = status; },
-                { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality, preset: tag.preset, messageId }
+            const onStatusUpdate = (status) => { statusEl.textContent = status; };
+            const { generated, persistedSrc, persistedPosterSrc, provider } = streamingJob
+                ? await followStreamingJob(streamingJob, onStatusUpdate)
+                : await generateAndSaveTagMedia(tag, messageId, index, 'generate', onStatusUpdate, controller.signal);
+
+            const mediaElement = createGeneratedMediaElement(
+                isGeneratedVideoResult(generated)
+                    ? { ...generated, dataUrl: persistedSrc, posterDataUrl: persistedPosterSrc || generated.posterDataUrl || '' }
+                    : persistedSrc,
+                tag,
+                provider,
             );
 
-            let persistedSrc = '';
-            let persistedPosterSrc = '';
-            if (isGeneratedVideoResult(generated)) {
-                statusEl.textContent = 'Сохранение видео...';
-                persistedSrc = await saveNaisteraMediaToFile(generated.dataUrl, 'video', {
-                    messageId,
-                    tagIndex: index,
-                    mode: 'generate-video',
-                    apiType: getSettings().apiType,
-                });
-                if (generated.posterDataUrl) {
-                    statusEl.textContent = 'Сохранение превью...';
-                    persistedPosterSrc = await saveImageToFile(generated.posterDataUrl, {
-                        messageId,
-                        tagIndex: index,
-                        mode: 'generate-video-poster',
-                        apiType: getSettings().apiType,
-                    });
-                }
+            const instructionValue = getInstructionAttributeValue(tag);
+            if (instructionValue) {
+                mediaElement.setAttribute('data-iig-instruction', instructionValue);
+            }
+            mediaElement.setAttribute('data-iig-id', tagId);
+
+            loadingPlaceholder.replaceWith(mediaElement);
+
+            const version = {
+                src: persistedSrc,
+                posterSrc: persistedPosterSrc,
+                kind: isGeneratedVideoResult(generated) ? 'video' : 'image',
+                provider,
+            };
+            // Built from the tag as it is now: the user may have edited the message while it was generating
+            const saved = replaceTagInMessageSource(message, tag, (currentTag) =>
+                buildPersistedMediaTag(currentTag, generated, persistedSrc, persistedPosterSrc, provider));
+            if (!saved) {
+                reportUnsavedResult(origin, messageId, message, tag, buildPersistedMediaTag(tag, generated, persistedSrc, persistedPosterSrc, provider), version);
             } else {
-                statusEl.textContent = 'Сохранение...';
-                persistedSrc = await saveImageToFile(generated, {
+                recordTagVersion(message, tag, version);
+                clearTagError(message, tag);
+            }
+
+            iigLog('INFO', `Successfully generated ${isGeneratedVideoResult(generated) ? 'video' : 'image'} for tag ${index}`);
+            toastr.success(
+                `${isGeneratedVideoResult(generated) ? 'Видео' : 'Картинка'} ${index + 1}/${tags.length} готов${isGeneratedVideoResult(generated) ? 'о' : 'а'}`,
+                'Генерация картинок',
+                { timeOut: 2000 }
+            );
+        } catch (error) {
+            if (isAbortError(error)) {
+                // Cancelled: back to a pending [IMG:GEN] tag so it can be generated later
+                loadingPlaceholder.remove();
+                replaceTagInMessageSource(message, tag, (currentTag) => buildPendingMediaTag(currentTag));
+                iigLog('INFO', `Generation cancelled for tag ${index}, tag returned to pending state`);
+                toastr.info(`Картинка ${index + 1}/${tags.length} отменена`, 'Генерация картинок', { timeOut: 2000 });
+                return;
+            }
+
+            iigLog('ERROR', `Failed to generate image for tag ${index}:`, error.message);
+            
+            // Replace with error placeholder
+            const errorPlaceholder = createErrorPlaceholder(tagId, error.message, tag);
+            loadingPlaceholder.replaceWith(errorPlaceholder);
+            recordTagError(message, tag, error);
+            
+            // IMPORTANT: Mark tag as failed in message.mes - use error.svg path so it displays properly after swipe.
+            // Legacy tags become new-format error tags too, so the instruction survives for a retry.
+            replaceTagInMessageSource(message, tag, (currentTag) => buildErrorMediaTag(currentTag));
+            iigLog('INFO', `Marked tag as failed in message.mes`);
+            
+            toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+        } finally {
+            finishGenerationTracking(tagId);
+            forgetPendingJob(origin.chatId, tagId);
+        }
+    };
+    
+    try {
+        // Process all tags in parallel
+        await Promise.all(tags.map((tag, index) => processTag(tag, index)));
+    } finally {
+        // Always remove from processing set
+        processingMessages.delete(processingKey);
+        dropStreamingJobs(messageId);
+        iigLog('INFO', `Finished processing message ${messageId}`);
+    }
+    
+    // Save the chat and re-render the message (or write into the original chat after a switch)
+    await persistGeneratedMessage(origin, messageId, message, mesTextEl);
+}
+
+/**
+ * Regenerate images in a message (user-triggered).
+ * options.tagIds limits regeneration to those tags; other tags in message.mes stay untouched.
+ * options.silent drops the per-image toasts (bulk jobs report through their own panel).
+ * options.styleOverride generates with that style instead of the active one and writes it into the tag instruction (re-styling a chat).
+ * Messages that are not rendered (older ones outside the loaded part of the chat) are regenerated in the data only.
+ * @returns {Promise<{succeeded: number, failed: number, cancelled: number, errors: string[]}|null>} null when nothing was started
+ */
+async function regenerateMessageImages(messageId, options = {}) {
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    const message = context.chat[messageId];
+    const onlyTagIds = Array.isArray(options.tagIds) ? options.tagIds : null;
+    const silent = Boolean(options.silent);
+    const origin = getChatOrigin();
+    const processingKey = getMessageProcessingKey(messageId, origin.chatId);
+    
+    if (!message) {
+        if (!silent) {
+            toastr.error('Сообщение не найдено', 'Генерация картинок');
+        }
+        return null;
+    }
+
+    if (processingMessages.has(processingKey)) {
+        if (!silent) {
+            toastr.warning('Картинки этого сообщения уже генерируются', 'Генерация картинок');
+        }
+        return null;
+    }
+    
+    // Parse ALL instruction tags, forcing regeneration
+    const allTags = await parseMessageImageTags(message, { forceAll: true });
+    
+    if (allTags.length === 0) {
+        if (!silent) {
+            toastr.warning('Нет тегов для перегенерации', 'Генерация картинок');
+        }
+        return null;
+    }
+    
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    let result;
+
+    // Process using existing logic; the key is released whatever happens, otherwise the message would be refused for good
+    processingMessages.add(processingKey);
+    try {
+        const assignedIds = await ensureMessageTagIds(message, allTags);
+        const convertedLegacyTags = convertLegacyTagsToInstructionFormat(message, allTags);
+        if (assignedIds > 0 || convertedLegacyTags > 0) {
+            rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
+            iigLog('INFO', `Assigned ${assignedIds} tag id(s) and converted ${convertedLegacyTags} legacy tag(s) before regeneration`);
+            await context.saveChat();
+        }
+
+        const tags = onlyTagIds ? allTags.filter(tag => onlyTagIds.includes(tag.id)) : allTags;
+        if (tags.length === 0) {
+            if (!silent) {
+                toastr.warning('Тег картинки не найден в сообщении', 'Генерация картинок');
+            }
+            return null;
+        }
+
+        iigLog('INFO', `Regenerating ${tags.length} images in message ${messageId}`);
+        if (!silent) {
+            toastr.info(
+                tags.length === 1 ? 'Перегенерация картинки...' : `Перегенерация ${tags.length} картинок...`,
+                'Генерация картинок'
+            );
+        }
+        result = { succeeded: 0, failed: 0, cancelled: 0, errors: [] };
+    
+        // Register every tag up front so "cancel all" also stops the ones still waiting their turn
+        const tagIds = tags.map(tag => tag.id);
+        const controllers = tagIds.map((tagId) => startGenerationTracking(tagId, messageId, message.swipe_id));
+        tags.forEach(tag => rememberPendingJob(origin.chatId, messageId, tag, 'regenerate'));
+
+        // All tags start together: the global queue limits how many run at once per provider
+        const regenerateTag = async (tag, index) => {
+            const tagId = tagIds[index];
+            const controller = controllers[index];
+            applyConfiguredStyleToTag(tag, settings);
+            if (controller.signal.aborted) {
+                finishGenerationTracking(tagId);
+                forgetPendingJob(origin.chatId, tagId);
+                result.cancelled += 1;
+                return;
+            }
+        
+            try {
+                const existingMedia = mesTextEl ? findTagMediaElement(mesTextEl, tagId) : null;
+                if (mesTextEl && !existingMedia) {
+                    // Regenerated in the data only; the re-render below shows the result
+                    iigLog('WARN', `Media element for tag ${tagId} not found, regenerating in message source only`);
+                }
+                // Preserve the instruction for future regenerations
+                const instruction = existingMedia?.getAttribute('data-iig-instruction');
+            
+                // Without a rendered element there is nothing to show progress in; the final re-render shows the result
+                const loadingPlaceholder = existingMedia ? createLoadingPlaceholder(tagId) : null;
+                existingMedia?.replaceWith(loadingPlaceholder);
+            
+                const statusEl = loadingPlaceholder?.querySelector('.iig-status');
+            
+                const { generated, persistedSrc, persistedPosterSrc, provider } = await generateAndSaveTagMedia(
+                    tag,
                     messageId,
-                    tagIndex: index,
-                    mode: 'generate',
-                    apiType: getSettings().apiType,
-                });
+                    index,
+                    'regenerate',
+                    (status) => { if (statusEl) statusEl.textContent = status; },
+                    controller.signal,
+                    options.styleOverride
+                );
+
+                if (loadingPlaceholder) {
+                    const mediaElement = createGeneratedMediaElement(
+                        isGeneratedVideoResult(generated)
+                            ? { ...generated, dataUrl: persistedSrc, posterDataUrl: persistedPosterSrc || generated.posterDataUrl || '' }
+                            : persistedSrc,
+                        tag,
+                        provider,
+                    );
+                    if (instruction) {
+                        mediaElement.setAttribute('data-iig-instruction', instruction);
+                    }
+                    mediaElement.setAttribute('data-iig-id', tagId);
+                    loadingPlaceholder.replaceWith(mediaElement);
+                }
+            
+                // Update message.mes
+                const buildResultTag = (currentTag) => buildPersistedMediaTag(
+                    options.styleOverride ? buildTagWithInstructionStyle(currentTag, options.styleOverride) : currentTag,
+                    generated,
+                    persistedSrc,
+                    persistedPosterSrc,
+                    provider,
+                );
+                const version = {
+                    src: persistedSrc,
+                    posterSrc: persistedPosterSrc,
+                    kind: isGeneratedVideoResult(generated) ? 'video' : 'image',
+                    provider,
+                };
+                if (replaceTagInMessageSource(message, tag, buildResultTag)) {
+                    // The image being replaced stays available as an earlier version
+                    recordTagVersion(message, tag, version, getTagCurrentVersion(tag));
+                    clearTagError(message, tag);
+                } else {
+                    reportUnsavedResult(origin, messageId, message, tag, buildResultTag(tag), version);
+                }
+                result.succeeded += 1;
+            
+                if (!silent) {
+                    toastr.success(
+                        `${isGeneratedVideoResult(generated) ? 'Видео' : 'Картинка'} ${index + 1}/${tags.length} готов${isGeneratedVideoResult(generated) ? 'о' : 'а'}`,
+                        'Генерация картинок',
+                        { timeOut: 2000 }
+                    );
+                }
+            } catch (error) {
+                if (isAbortError(error)) {
+                    // message.mes is untouched, so the re-render below restores the previous image
+                    iigLog('INFO', `Regeneration cancelled for tag ${index}`);
+                    result.cancelled += 1;
+                    return;
+                }
+                iigLog('ERROR', `Regeneration failed for tag ${index}:`, error.message);
+                result.failed += 1;
+                result.errors.push(error.message);
+                // A tag that is still an error placeholder keeps the details of its latest failure
+                if (!getTagCurrentVersion(tag)) {
+                    recordTagError(message, tag, error);
+                }
+                if (!silent) {
+                    toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+                }
+            } finally {
+                finishGenerationTracking(tagId);
+                forgetPendingJob(origin.chatId, tagId);
             }
+        };
+
+        await Promise.all(tags.map(regenerateTag));
+    } finally {
+        processingMessages.delete(processingKey);
+    }
 
-            const mediaElement = createGeneratedMediaElement(
-                isGeneratedVideoResult(generated)
-                    ? { ...generated, dataUrl: persistedSrc, posterDataUrl: persistedPosterSrc || generated.posterDataUrl || '' }
-                    : persistedSrc,
-                tag,
-            );
+    await persistGeneratedMessage(origin, messageId, message, mesTextEl);
+    iigLog('INFO', `Regeneration complete for message ${messageId}`);
+    return result;
+}
 
-            const instructionValue = getInstructionAttributeValue(tag);
-            if (instructionValue) {
-                mediaElement.setAttribute('data-iig-instruction', instructionValue);
-            }
+const CHAT_BULK_ACTIONS = Object.freeze({
+    pending: Object.freeze({ label: 'Сгенерировать ожидающие', title: 'Генерация ожидающих картинок' }),
+    failed: Object.freeze({ label: 'Повторить ошибки', title: 'Повтор картинок с ошибкой' }),
+    all: Object.freeze({ label: 'Перегенерировать все', title: 'Перегенерация всех картинок' }),
+});
 
-            loadingPlaceholder.replaceWith(mediaElement);
+/** The running chat-wide job, one at a time */
+let bulkJob = null;
 
-            const updatedTag = buildPersistedMediaTag(tag, generated, persistedSrc, persistedPosterSrc);
-            replaceTagInMessageSource(message, tag, updatedTag);
+function isFailedImageTag(tag) {
+    return Boolean(tag.isLegacyError) || isErrorImageSrc(tag.existingSrc);
+}
 
-            iigLog('INFO', `Successfully generated ${isGeneratedVideoResult(generated) ? 'video' : 'image'} for tag ${index}`);
-            toastr.success(
-                `${isGeneratedVideoResult(generated) ? 'Видео' : 'Картинка'} ${index + 1}/${tags.length} готов${isGeneratedVideoResult(generated) ? 'о' : 'а'}`,
-                'Генерация картинок',
-                { timeOut: 2000 }
-            );
-        } catch (error) {
-            iigLog('ERROR', `Failed to generate image for tag ${index}:`, error.message);
-            
-            // Replace with error placeholder
-            const errorPlaceholder = createErrorPlaceholder(tagId, error.message, tag);
-            loadingPlaceholder.replaceWith(errorPlaceholder);
-            
-            // IMPORTANT: Mark tag as failed in message.mes - use error.svg path so it displays properly after swipe
-            if (tag.isNewFormat) {
-                // NEW FORMAT: update src with error image path (will be detected for retry)
-                const errorTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${ERROR_IMAGE_PATH}"`);
-                replaceTagInMessageSource(message, tag, errorTag);
-            } else {
-                // LEGACY FORMAT: replace with error marker
-                const errorMarker = `[IMG:ERROR:${error.message.substring(0, 50)}]`;
-                replaceTagInMessageSource(message, tag, errorMarker);
-            }
-            iigLog('INFO', `Marked tag as failed in message.mes`);
-            
-            toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+/**
+ * Tags of the open chat a bulk action works on. Ids are assigned (and saved) first so each tag
+ * can be found again when its turn comes, even if the message was edited meanwhile.
+ * @param {'pending'|'failed'|'all'} kind
+ * @param {{from?: number, to?: number}} range - message ids, both inclusive; the whole chat by default
+ * @returns {Promise<Array<{messageId: number, tagId: string}>>}
+ */
+async function collectChatBulkTargets(kind, range = {}) {
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    const chat = context.chat || [];
+    const targets = [];
+    let changed = false;
+    const from = Math.max(0, range.from ?? 0);
+    const to = Math.min(chat.length - 1, range.to ?? chat.length - 1);
+
+    for (let messageId = from; messageId <= to; messageId++) {
+        const message = chat[messageId];
+        if (!message || message.is_user) continue;
+
+        // "Pending" is exactly what processMessageTags would pick up; the other kinds look at every tag
+        const tags = kind === 'pending'
+            ? await parseMessageImageTags(message, { checkExistence: true })
+            : (await parseMessageImageTags(message, { forceAll: true })).filter(tag => kind === 'all' || isFailedImageTag(tag));
+        if (tags.length === 0) continue;
+
+        const assignedIds = await ensureMessageTagIds(message, tags);
+        const convertedLegacyTags = convertLegacyTagsToInstructionFormat(message, tags);
+        if (assignedIds > 0 || convertedLegacyTags > 0) {
+            const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+            rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
+            changed = true;
         }
-    };
-    
-    try {
-        // Process all tags in parallel
-        await Promise.all(tags.map((tag, index) => processTag(tag, index)));
-    } finally {
-        // Always remove from processing set
-        processingMessages.delete(messageId);
-        iigLog('INFO', `Finished processing message ${messageId}`);
+        targets.push(...tags.map(tag => ({ messageId, tagId: tag.id })));
     }
-    
-    // Save chat to persist changes
-    await context.saveChat();
-    
-    // Force re-render the message to show updated content
-    // Use SillyTavern's messageFormatting if available
-    if (typeof context.messageFormatting === 'function') {
-        rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
-        console.log('[IIG] Message re-rendered via messageFormatting');
+
+    if (changed) {
+        await context.saveChat();
+    }
+    return targets;
+}
+
+function getBulkPanel() {
+    let panel = document.getElementById('iig_bulk_panel');
+    if (panel) {
+        return panel;
+    }
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="iig_bulk_panel" class="iig-bulk-panel iig-hidden">
+            <div class="iig-bulk-panel-title"></div>
+            <div class="iig-bulk-panel-bar"><div class="iig-bulk-panel-bar-fill"></div></div>
+            <div class="iig-bulk-panel-status"></div>
+            <ul class="iig-bulk-panel-failures iig-hidden"></ul>
+            <div class="iig-bulk-panel-actions">
+                <div class="menu_button iig-button-inline" data-iig-bulk-action="pause"></div>
+                <div class="menu_button iig-button-inline" data-iig-bulk-action="stop">
+                    <i class="fa-solid fa-stop"></i> Стоп
+                </div>
+                <div class="menu_button iig-button-inline" data-iig-bulk-action="close">
+                    <i class="fa-solid fa-xmark"></i> Закрыть
+                </div>
+            </div>
+        </div>
+    `);
+    panel = document.getElementById('iig_bulk_panel');
+    panel.addEventListener('click', (e) => {
+        const button = e.target instanceof Element ? e.target.closest('[data-iig-bulk-action]') : null;
+        if (button) {
+            handleBulkPanelAction(button.getAttribute('data-iig-bulk-action'));
+        }
+    });
+    return panel;
+}
+
+function updateBulkPanel() {
+    const panel = getBulkPanel();
+    if (!bulkJob) {
+        panel.classList.add('iig-hidden');
+        return;
+    }
+
+    const job = bulkJob;
+    panel.classList.remove('iig-hidden');
+    panel.querySelector('.iig-bulk-panel-title').textContent = job.title;
+    panel.querySelector('.iig-bulk-panel-bar-fill').style.width = job.total > 0
+        ? `${Math.round((job.done / job.total) * 100)}%`
+        : '0%';
+
+    let status;
+    if (job.collecting) {
+        status = 'Поиск картинок в чате...';
     } else {
-        // Fallback: trigger a manual re-render by finding and updating the element
-        const freshMessageEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
-        if (freshMessageEl && message.mes) {
-            // Simple approach: just reload the message content
-            // This works because message.mes now contains the image path instead of the tag
-            console.log('[IIG] Attempting manual refresh...');
+        status = `${job.done} / ${job.total} · готово: ${job.succeeded} · ошибок: ${job.failed} · пропущено: ${job.skipped}`;
+        if (job.finished) {
+            status = `${job.stopped ? 'Остановлено' : 'Завершено'}. ${status}`;
+        } else if (job.paused) {
+            status = `Пауза. ${status}`;
         }
     }
+    panel.querySelector('.iig-bulk-panel-status').textContent = status;
+
+    const failuresList = panel.querySelector('.iig-bulk-panel-failures');
+    failuresList.innerHTML = job.finished
+        ? job.failures.map(failure => `<li>#${failure.messageId}: ${sanitizeForHtml(failure.error)}</li>`).join('')
+        : '';
+    failuresList.classList.toggle('iig-hidden', !job.finished || job.failures.length === 0);
+
+    const pauseButton = panel.querySelector('[data-iig-bulk-action="pause"]');
+    pauseButton.innerHTML = job.paused
+        ? '<i class="fa-solid fa-play"></i> Продолжить'
+        : '<i class="fa-solid fa-pause"></i> Пауза';
+    pauseButton.classList.toggle('iig-hidden', Boolean(job.finished));
+    panel.querySelector('[data-iig-bulk-action="stop"]').classList.toggle('iig-hidden', Boolean(job.finished));
+    panel.querySelector('[data-iig-bulk-action="close"]').classList.toggle('iig-hidden', !job.finished);
 }
 
 /**
- * Regenerate all images in a message (user-triggered)
+ * Pause hands out no new messages and lets the running ones finish; stop also cancels them
  */
-async function regenerateMessageImages(messageId) {
-    const context = SillyTavern.getContext();
-    const settings = getSettings();
-    const message = context.chat[messageId];
-    
-    if (!message) {
-        toastr.error('Сообщение не найдено', 'Генерация картинок');
+function handleBulkPanelAction(action) {
+    const job = bulkJob;
+    if (!job) {
         return;
     }
-    
-    // Parse ALL instruction tags, forcing regeneration
-    const tags = await parseMessageImageTags(message, { forceAll: true });
-    
-    if (tags.length === 0) {
-        toastr.warning('Нет тегов для перегенерации', 'Генерация картинок');
+
+    if (action === 'close') {
+        if (job.finished) {
+            bulkJob = null;
+            updateBulkPanel();
+        }
         return;
     }
-    
-    iigLog('INFO', `Regenerating ${tags.length} images in message ${messageId}`);
-    toastr.info(`Перегенерация ${tags.length} картинок...`, 'Генерация картинок');
-    
-    // Process using existing logic
-    processingMessages.add(messageId);
-    
-    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-    if (!messageElement) {
-        processingMessages.delete(messageId);
-        return;
+
+    if (action === 'pause') {
+        job.paused = !job.paused;
+    } else if (action === 'stop') {
+        job.stopped = true;
+        job.paused = false;
+        for (const tagId of job.activeTagIds) {
+            cancelGeneration(tagId);
+        }
     }
-    
-    const mesTextEl = messageElement.querySelector('.mes_text');
-    if (!mesTextEl) {
-        processingMessages.delete(messageId);
-        return;
+    if (!job.paused && job.resume) {
+        job.resume();
+        job.resume = null;
     }
+    updateBulkPanel();
+}
 
-    const convertedLegacyTags = convertLegacyTagsToInstructionFormat(message, tags);
-    if (convertedLegacyTags > 0) {
-        rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
-        iigLog('INFO', `Converted ${convertedLegacyTags} legacy tag(s) to instruction tags before regeneration`);
+/**
+ * Group bulk targets per message, keeping chat order
+ * @returns {Array<{messageId: number, tagIds: string[]}>}
+ */
+function groupBulkTargetsByMessage(targets) {
+    const groups = new Map();
+    for (const target of targets) {
+        if (!groups.has(target.messageId)) {
+            groups.set(target.messageId, { messageId: target.messageId, tagIds: [] });
+        }
+        groups.get(target.messageId).tagIds.push(target.tagId);
     }
-    
-    for (let index = 0; index < tags.length; index++) {
-        const tag = tags[index];
-        const tagId = `iig-regen-${messageId}-${index}`;
-        applyConfiguredStyleToTag(tag, settings);
-        
-        try {
-            // Find the existing rendered media element with data-iig-instruction
-            const existingMediaList = Array.from(
-                mesTextEl.querySelectorAll('img[data-iig-instruction], video[data-iig-instruction]')
-            );
-            const existingMedia = existingMediaList[index] || existingMediaList[0] || null;
-            if (existingMedia) {
-                // Preserve the instruction for future regenerations
-                const instruction = existingMedia.getAttribute('data-iig-instruction');
-                
-                const loadingPlaceholder = createLoadingPlaceholder(tagId);
-                existingMedia.replaceWith(loadingPlaceholder);
-                
-                const statusEl = loadingPlaceholder.querySelector('.iig-status');
-                
-                const generated = await generateImageWithRetry(
-                    tag.prompt,
-                    tag.style,
-                    (status) => { statusEl.textContent = status; },
-                    { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality, preset: tag.preset, messageId }
-                );
+    return [...groups.values()];
+}
 
-                let persistedSrc = '';
-                let persistedPosterSrc = '';
-                if (isGeneratedVideoResult(generated)) {
-                    statusEl.textContent = 'Сохранение видео...';
-                    persistedSrc = await saveNaisteraMediaToFile(generated.dataUrl, 'video', {
-                        messageId,
-                        tagIndex: index,
-                        mode: 'regenerate-video',
-                        apiType: getSettings().apiType,
-                    });
-                    if (generated.posterDataUrl) {
-                        statusEl.textContent = 'Сохранение превью...';
-                        persistedPosterSrc = await saveImageToFile(generated.posterDataUrl, {
-                            messageId,
-                            tagIndex: index,
-                            mode: 'regenerate-video-poster',
-                            apiType: getSettings().apiType,
-                        });
-                    }
-                } else {
-                    statusEl.textContent = 'Сохранение...';
-                    persistedSrc = await saveImageToFile(generated, {
-                        messageId,
-                        tagIndex: index,
-                        mode: 'regenerate',
-                        apiType: getSettings().apiType,
-                    });
-                }
+/**
+ * Regenerate one message's share of a bulk job and count the outcome per tag. Never rejects.
+ */
+async function runBulkMessageGroup(job, group, regenerateOptions) {
+    group.tagIds.forEach(tagId => job.activeTagIds.add(tagId));
+    try {
+        const result = await regenerateMessageImages(group.messageId, {
+            ...regenerateOptions,
+            tagIds: group.tagIds,
+            silent: true,
+        });
+        const succeeded = result?.succeeded || 0;
+        const failed = result?.failed || 0;
+        job.succeeded += succeeded;
+        job.failed += failed;
+        job.skipped += group.tagIds.length - succeeded - failed;
+        for (const error of result?.errors || []) {
+            job.failures.push({ messageId: group.messageId, error });
+        }
+    } catch (error) {
+        iigLog('ERROR', `Bulk job failed on message ${group.messageId}:`, error.message);
+        job.failed += group.tagIds.length;
+        job.failures.push({ messageId: group.messageId, error: error.message || 'Неизвестная ошибка' });
+    } finally {
+        group.tagIds.forEach(tagId => job.activeTagIds.delete(tagId));
+        job.done += group.tagIds.length;
+        updateBulkPanel();
+    }
+}
 
-                const mediaElement = createGeneratedMediaElement(
-                    isGeneratedVideoResult(generated)
-                        ? { ...generated, dataUrl: persistedSrc, posterDataUrl: persistedPosterSrc || generated.posterDataUrl || '' }
-                        : persistedSrc,
-                    tag,
-                );
-                if (instruction) {
-                    mediaElement.setAttribute('data-iig-instruction', instruction);
-                }
-                loadingPlaceholder.replaceWith(mediaElement);
-                
-                // Update message.mes
-                const updatedTag = buildPersistedMediaTag(tag, generated, persistedSrc, persistedPosterSrc);
-                replaceTagInMessageSource(message, tag, updatedTag);
-                
-                toastr.success(
-                    `${isGeneratedVideoResult(generated) ? 'Видео' : 'Картинка'} ${index + 1}/${tags.length} готов${isGeneratedVideoResult(generated) ? 'о' : 'а'}`,
-                    'Генерация картинок',
-                    { timeOut: 2000 }
-                );
-            }
+/**
+ * Regenerate the collected tags, showing progress in the bulk panel. Messages are handed out a few
+ * at a time (the active profile's maxConcurrency) and their tags go through the global queue together,
+ * so each message is saved once and providers run in parallel up to their own limits.
+ * @param {string} title - shown in the panel
+ * @param {() => Promise<Array<{messageId: number, tagId: string}>>} collectTargets
+ * @param {object} regenerateOptions - passed on to regenerateMessageImages
+ * @returns {Promise<object|null>} the finished job, null when another job is running
+ */
+async function runBulkRegeneration(title, collectTargets, regenerateOptions = {}) {
+    if (bulkJob && !bulkJob.finished) {
+        toastr.warning('Пакетная генерация уже идёт', 'Генерация картинок');
+        return null;
+    }
+
+    const chatId = getCurrentChatId();
+    const job = {
+        title,
+        chatId,
+        total: 0,
+        done: 0,
+        succeeded: 0,
+        failed: 0,
+        skipped: 0,
+        failures: [],
+        collecting: true,
+        paused: false,
+        stopped: false,
+        finished: false,
+        resume: null,
+        activeTagIds: new Set(),
+    };
+    bulkJob = job;
+    updateBulkPanel();
+
+    try {
+        let targets = [];
+        try {
+            targets = await collectTargets();
         } catch (error) {
-            iigLog('ERROR', `Regeneration failed for tag ${index}:`, error.message);
-            toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+            iigLog('ERROR', 'Failed to collect tags for bulk job:', error.message);
+            toastr.error(`Не удалось собрать теги: ${error.message}`, 'Генерация картинок');
+        }
+        job.collecting = false;
+        job.total = targets.length;
+        iigLog('INFO', `Bulk job "${title}": ${targets.length} tag(s) in chat ${chatId}`);
+        updateBulkPanel();
+
+        const messageLimit = normalizeMaxConcurrency(getActiveConnection().maxConcurrency);
+        const running = new Set();
+        for (const group of groupBulkTargetsByMessage(targets)) {
+            while (running.size >= messageLimit) {
+                await Promise.race(running);
+            }
+            if (job.paused) {
+                await new Promise(resolve => { job.resume = resolve; });
+            }
+            if (job.stopped) {
+                break;
+            }
+            // Queued message ids only make sense in the chat they were collected from
+            if (getCurrentChatId() !== chatId) {
+                iigLog('WARN', `Chat changed, bulk job "${title}" stopped`);
+                job.stopped = true;
+                break;
+            }
+
+            const groupRun = runBulkMessageGroup(job, group, regenerateOptions).finally(() => running.delete(groupRun));
+            running.add(groupRun);
         }
+        await Promise.all(running);
+    } finally {
+        job.finished = true;
+        job.paused = false;
+        job.collecting = false;
+        updateBulkPanel();
     }
-    
-    processingMessages.delete(messageId);
-    await context.saveChat();
-    rerenderMessageHtml(context, message, settings, messageId, mesTextEl);
-    iigLog('INFO', `Regeneration complete for message ${messageId}`);
+
+    iigLog('INFO', `Bulk job "${title}" finished: ${job.succeeded} ok, ${job.failed} failed, ${job.skipped} skipped of ${job.total}`);
+
+    const summary = `Готово: ${job.succeeded}, ошибок: ${job.failed}, пропущено: ${job.skipped} из ${job.total}`;
+    if (job.total === 0) {
+        toastr.info('Подходящих картинок в чате нет', 'Генерация картинок');
+    } else if (job.failed > 0) {
+        toastr.warning(summary, 'Генерация картинок');
+    } else {
+        toastr.success(summary, 'Генерация картинок');
+    }
+    return job;
+}
+
+/**
+ * @param {'pending'|'failed'|'all'} kind
+ */
+async function runChatBulkAction(kind) {
+    const action = CHAT_BULK_ACTIONS[kind];
+    if (!action) {
+        return;
+    }
+    await runBulkRegeneration(action.title, () => collectChatBulkTargets(kind));
+}
+
+/**
+ * Regenerate every instruction tag of a message range with the chosen style.
+ * The previous images stay available as earlier versions of each tag.
+ */
+async function runChatRestyle(styleId, fromValue, toValue) {
+    const context = SillyTavern.getContext();
+    const style = ensureStyles().find(item => item.id === styleId);
+    if (!style?.value) {
+        toastr.warning('Выберите стиль с непустым значением', 'Генерация картинок');
+        return;
+    }
+
+    const lastMessageId = (context.chat?.length || 0) - 1;
+    const from = Math.max(0, parseInt(fromValue, 10) || 0);
+    const parsedTo = parseInt(toValue, 10);
+    const to = Math.min(lastMessageId, Number.isNaN(parsedTo) ? lastMessageId : parsedTo);
+    if (lastMessageId < 0 || from > to) {
+        toastr.warning('Неверный диапазон сообщений', 'Генерация картинок');
+        return;
+    }
+
+    await runBulkRegeneration(
+        `Перерисовка в стиле «${style.name}», сообщения #${from}–#${to}`,
+        () => collectChatBulkTargets('all', { from, to }),
+        { styleOverride: style.value },
+    );
 }
 
 /**
@@ -3292,6 +6491,32 @@ function addRegenerateButton(messageElement, messageId) {
     extraMesButtons.appendChild(btn);
 }
 
+/**
+ * Add "cancel all generations" button to message extra menu
+ */
+function addCancelGenerationsButton(messageElement, messageId) {
+    if (messageElement.querySelector('.iig-cancel-all-btn')) return;
+
+    const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+    if (!extraMesButtons) return;
+
+    const btn = document.createElement('div');
+    btn.className = 'mes_button iig-cancel-all-btn fa-solid fa-ban interactable';
+    btn.title = 'Отменить генерацию картинок';
+    btn.tabIndex = 0;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const cancelled = cancelMessageGenerations(messageId);
+        if (cancelled > 0) {
+            toastr.info(`Отменено генераций: ${cancelled}`, 'Генерация картинок');
+        } else {
+            toastr.info('Нет активных генераций в этом сообщении', 'Генерация картинок');
+        }
+    });
+
+    extraMesButtons.appendChild(btn);
+}
+
 /**
  * Add regenerate buttons to all existing AI messages in chat
  */
@@ -3312,14 +6537,208 @@ function addButtonsToExistingMessages() {
         // Only add to AI messages (not user messages)
         if (message && !message.is_user) {
             addRegenerateButton(messageElement, messageId);
+            addCancelGenerationsButton(messageElement, messageId);
             addedCount++;
         }
-    }
-    
-    iigLog('INFO', `Added regenerate buttons to ${addedCount} existing messages`);
-}
+    }
+    
+    iigLog('INFO', `Added regenerate buttons to ${addedCount} existing messages`);
+}
+
+const MEDIA_TOOLBAR_SELECTOR = [
+    '.iig-generated-image',
+    '.iig-generated-video',
+    '.iig-error-image',
+    'img[data-iig-instruction]',
+    'video[data-iig-instruction]',
+].join(', ');
+
+let mediaToolbar = null;
+let mediaToolbarTarget = null;
+
+/**
+ * Find the data-iig-id of a rendered media element.
+ * Messages rendered before tags carried ids get them assigned first, matched by position.
+ */
+async function resolveMediaTagId(messageId, mediaElement) {
+    const existingId = mediaElement.getAttribute('data-iig-id');
+    if (existingId) {
+        return existingId;
+    }
+
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    const mesTextEl = mediaElement.closest('.mes_text');
+    const selector = 'img[data-iig-instruction], video[data-iig-instruction]';
+    const mediaIndex = Array.from(mesTextEl?.querySelectorAll(selector) || []).indexOf(mediaElement);
+    if (!message || mediaIndex === -1) {
+        return null;
+    }
+
+    if (await ensureMessageTagIds(message) > 0) {
+        await context.saveChat();
+        rerenderMessageHtml(context, message, getSettings(), messageId, mesTextEl);
+    }
+    return mesTextEl.querySelectorAll(selector)[mediaIndex]?.getAttribute('data-iig-id') || null;
+}
+
+/**
+ * Persist another version of a tag, like flipping a message swipe
+ */
+async function switchTagVersion(messageId, tagId, step) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) {
+        return;
+    }
+
+    if (processingMessages.has(getMessageProcessingKey(messageId))) {
+        toastr.warning('Картинки этого сообщения сейчас генерируются', 'Генерация картинок');
+        return;
+    }
+
+    const tag = await findMessageTagById(message, tagId);
+    const versions = getTagVersions(message, tagId);
+    if (!tag || versions.length < 2) {
+        return;
+    }
+
+    const currentIndex = versions.findIndex(version => version.src === tag.existingSrc);
+    const nextIndex = currentIndex === -1
+        ? versions.length - 1
+        : Math.min(Math.max(currentIndex + step, 0), versions.length - 1);
+    if (nextIndex === currentIndex) {
+        return;
+    }
+
+    replaceTagInMessageSource(message, tag, buildTagForVersion(tag, versions[nextIndex]));
+    await context.saveChat();
+    const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    rerenderMessageHtml(context, message, getSettings(), messageId, mesTextEl);
+    iigLog('INFO', `Tag ${tagId} switched to version ${nextIndex + 1}/${versions.length}`);
+}
+
+async function handleMediaToolbarAction(action, mediaElement) {
+    const messageId = Number.parseInt(String(mediaElement.closest('.mes')?.getAttribute('mesid') || ''), 10);
+    if (!Number.isInteger(messageId)) {
+        return;
+    }
+
+    const tagId = await resolveMediaTagId(messageId, mediaElement);
+    if (!tagId) {
+        toastr.warning('Не удалось определить тег картинки', 'Генерация картинок');
+        return;
+    }
+
+    if (action === 'regenerate') {
+        await regenerateMessageImages(messageId, { tagIds: [tagId] });
+    } else if (action === 'edit') {
+        await openInstructionEditModal(messageId, tagId);
+    } else if (action === 'error-details') {
+        const fallbackMessage = String(mediaElement.getAttribute('title') || '').replace(/^Ошибка:\s*/, '');
+        openErrorDetailsModal(messageId, tagId, fallbackMessage);
+    } else if (action === 'version-prev' || action === 'version-next') {
+        await switchTagVersion(messageId, tagId, action === 'version-prev' ? -1 : 1);
+    }
+}
+
+function getMediaToolbar() {
+    if (mediaToolbar) {
+        return mediaToolbar;
+    }
+
+    mediaToolbar = document.createElement('div');
+    mediaToolbar.className = 'iig-media-toolbar iig-hidden';
+    mediaToolbar.innerHTML = `
+        <div class="iig-media-toolbar-versions">
+            <div class="iig-media-toolbar-btn fa-solid fa-chevron-left" data-iig-action="version-prev" title="Предыдущая версия"></div>
+            <span class="iig-media-toolbar-counter"></span>
+            <div class="iig-media-toolbar-btn fa-solid fa-chevron-right" data-iig-action="version-next" title="Следующая версия"></div>
+        </div>
+        <div class="iig-media-toolbar-btn fa-solid fa-pen" data-iig-action="edit" title="Изменить инструкцию"></div>
+        <div class="iig-media-toolbar-btn fa-solid fa-rotate" data-iig-action="regenerate" title="Перегенерировать эту картинку"></div>
+    `;
+    mediaToolbar.addEventListener('click', (e) => {
+        const button = e.target instanceof Element ? e.target.closest('[data-iig-action]') : null;
+        const target = mediaToolbarTarget;
+        if (!button || !target) {
+            return;
+        }
+        e.stopPropagation();
+        hideMediaToolbar();
+        handleMediaToolbarAction(button.getAttribute('data-iig-action'), target);
+    });
+    document.body.appendChild(mediaToolbar);
+    return mediaToolbar;
+}
+
+function updateMediaToolbarVersions(toolbar, mediaElement) {
+    const messageId = Number.parseInt(String(mediaElement.closest('.mes')?.getAttribute('mesid') || ''), 10);
+    const message = Number.isInteger(messageId) ? SillyTavern.getContext().chat?.[messageId] : null;
+    const versions = getTagVersions(message, mediaElement.getAttribute('data-iig-id'));
+    const currentSrc = mediaElement.getAttribute('src') || '';
+    const currentIndex = versions.findIndex(version => version.src === currentSrc);
+
+    toolbar.querySelector('.iig-media-toolbar-versions')?.classList.toggle('iig-hidden', versions.length < 2);
+    const counter = toolbar.querySelector('.iig-media-toolbar-counter');
+    if (counter) {
+        counter.textContent = `${currentIndex === -1 ? '?' : currentIndex + 1}/${versions.length}`;
+    }
+}
+
+function showMediaToolbar(mediaElement) {
+    const toolbar = getMediaToolbar();
+    const rect = mediaElement.getBoundingClientRect();
+    mediaToolbarTarget = mediaElement;
+    updateMediaToolbarVersions(toolbar, mediaElement);
+    toolbar.style.top = `${Math.max(rect.top + 6, 0)}px`;
+    toolbar.style.right = `${Math.max(window.innerWidth - rect.right + 6, 0)}px`;
+    toolbar.classList.remove('iig-hidden');
+}
+
+function hideMediaToolbar() {
+    mediaToolbarTarget = null;
+    mediaToolbar?.classList.add('iig-hidden');
+}
+
+function isErrorMediaElement(element) {
+    return element.classList.contains('iig-error-image') || isErrorImageSrc(element.getAttribute('src'));
+}
+
+/**
+ * Hover toolbar with per-image actions for generated media in chat messages.
+ * Clicking an error placeholder opens its error details.
+ */
+function initMediaToolbar() {
+    document.addEventListener('click', (e) => {
+        const target = e.target instanceof Element ? e.target : null;
+        const mediaElement = target?.closest(MEDIA_TOOLBAR_SELECTOR);
+        if (!mediaElement || !mediaElement.closest('#chat .mes_text') || !isErrorMediaElement(mediaElement)) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        handleMediaToolbarAction('error-details', mediaElement);
+    });
+    document.addEventListener('mouseover', (e) => {
+        const target = e.target instanceof Element ? e.target : null;
+        if (!target || mediaToolbar?.contains(target)) {
+            return;
+        }
 
-// NOTE: No click handlers on error images - user uses the regenerate button in message menu
+        const mediaElement = target.closest(MEDIA_TOOLBAR_SELECTOR);
+        if (mediaElement && mediaElement.closest('#chat .mes_text')) {
+            showMediaToolbar(mediaElement);
+        } else if (mediaToolbarTarget) {
+            hideMediaToolbar();
+        }
+    });
+    document.addEventListener('scroll', () => {
+        if (mediaToolbarTarget) {
+            hideMediaToolbar();
+        }
+    }, true);
+}
 
 /**
  * Handle CHARACTER_MESSAGE_RENDERED event
@@ -3340,8 +6759,9 @@ async function onMessageReceived(messageId) {
     const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
     if (!messageElement) return;
     
-    // Always add regenerate button for AI messages
+    // Always add regenerate / cancel buttons for AI messages
     addRegenerateButton(messageElement, messageId);
+    addCancelGenerationsButton(messageElement, messageId);
     
     await processMessageTags(messageId);
 }
@@ -3351,6 +6771,7 @@ async function onMessageReceived(messageId) {
  */
 function createSettingsUI() {
     const settings = getSettings();
+    const connectionSettings = getConnectionSettings();
     
     const container = document.getElementById('extensions_settings');
     if (!container) {
@@ -3366,9 +6787,10 @@ function createSettingsUI() {
             </div>
             <div class="inline-drawer-content">
                 <div class="iig-settings">
-                    ${buildApiSettingsSectionHtml(settings)}
+                    ${buildApiSettingsSectionHtml(connectionSettings)}
                     ${buildStylesSettingsSectionHtml(settings)}
-                    ${buildReferencesSettingsSectionHtml(settings)}
+                    ${buildReferencesSettingsSectionHtml(connectionSettings)}
+                    ${buildChatActionsSectionHtml()}
                     ${buildDebugSettingsSectionHtml(settings)}
                 </div>
             </div>
@@ -3377,6 +6799,11 @@ function createSettingsUI() {
     `;
     
     container.insertAdjacentHTML('beforeend', html);
+    // Opened from chat messages, so it must not live inside the (possibly hidden) extensions panel
+    if (!document.getElementById('iig_instruction_edit_modal')) {
+        document.body.insertAdjacentHTML('beforeend', buildInstructionEditModalHtml());
+        document.body.insertAdjacentHTML('beforeend', buildErrorDetailsModalHtml());
+    }
     
     // Bind event handlers
     bindSettingsEvents();
@@ -3404,27 +6831,34 @@ function bindSettingsEvents() {
     });
 
     const updateVisibility = () => {
-        const apiType = settings.apiType;
+        const view = getConnectionSettings();
+        const apiType = view.apiType;
         const isNaistera = apiType === 'naistera';
         const isGemini = apiType === 'gemini';
         const isOpenAI = apiType === 'openai';
-        const naisteraRefsSupported = isNaistera && naisteraModelSupportsReferences(settings.naisteraModel);
-
-        // Model is used for OpenAI and Gemini; Naistera does not need a model.
-        document.getElementById('iig_model_row')?.classList.toggle('iig-hidden', isNaistera);
-        document.getElementById('iig_image_context_section')?.classList.toggle('iig-hidden', !(isGemini || naisteraRefsSupported));
-        document.getElementById('iig_image_context_count_row')?.classList.toggle('iig-hidden', !((isGemini || naisteraRefsSupported) && settings.imageContextEnabled));
-        document.getElementById('iig_additional_refs_section')?.classList.toggle('iig-hidden', !(isGemini || naisteraRefsSupported));
+        const isSdWebUi = apiType === 'sdwebui';
+        const isComfyUi = apiType === 'comfyui';
+        const isCustom = apiType === 'custom';
+        const naisteraRefsSupported = isNaistera && naisteraModelSupportsReferences(view.naisteraModel);
+        const providerTakesReferences = Boolean(getProviderReferenceConfig(view));
+        const sdReferenceMode = normalizeSdWebUiReferenceMode(view.sdReferenceMode);
+
+        // Model is used for OpenAI, Gemini and SD WebUI (checkpoint); Naistera, ComfyUI (workflow) and custom APIs (template) do not need one.
+        document.getElementById('iig_model_row')?.classList.toggle('iig-hidden', isNaistera || isComfyUi || isCustom);
+        document.getElementById('iig_image_context_section')?.classList.toggle('iig-hidden', !providerTakesReferences);
+        document.getElementById('iig_image_context_count_row')?.classList.toggle('iig-hidden', !(providerTakesReferences && settings.imageContextEnabled));
+        document.getElementById('iig_additional_refs_section')?.classList.toggle('iig-hidden', !providerTakesReferences);
 
         // OpenAI-only params
         document.getElementById('iig_size_row')?.classList.toggle('iig-hidden', !isOpenAI);
         document.getElementById('iig_quality_row')?.classList.toggle('iig-hidden', !isOpenAI);
+        document.getElementById('iig_openai_edits_row')?.classList.toggle('iig-hidden', !isOpenAI);
 
         // Naistera-only params
         document.getElementById('iig_naistera_model_row')?.classList.toggle('iig-hidden', !isNaistera);
         document.getElementById('iig_naistera_aspect_row')?.classList.toggle('iig-hidden', !isNaistera);
         document.getElementById('iig_naistera_video_section')?.classList.toggle('iig-hidden', !isNaistera);
-        document.getElementById('iig_naistera_video_frequency_row')?.classList.toggle('iig-hidden', !(isNaistera && settings.naisteraVideoTest));
+        document.getElementById('iig_naistera_video_frequency_row')?.classList.toggle('iig-hidden', !(isNaistera && view.naisteraVideoTest));
         document.getElementById('iig_naistera_refs_section')?.classList.toggle('iig-hidden', !naisteraRefsSupported);
         document.getElementById('iig_naistera_use_active_persona_avatar_row')?.classList.toggle('iig-hidden', !(naisteraRefsSupported && settings.naisteraSendUserAvatar));
         document.getElementById('iig_naistera_user_avatar_row')?.classList.toggle(
@@ -3434,15 +6868,47 @@ function bindSettingsEvents() {
 
         document.getElementById('iig_naistera_hint')?.classList.toggle('iig-hidden', !isNaistera);
 
+        // SD WebUI-only params
+        document.getElementById('iig_sdwebui_hint')?.classList.toggle('iig-hidden', !isSdWebUi);
+        document.getElementById('iig_sdwebui_section')?.classList.toggle('iig-hidden', !isSdWebUi);
+        document.getElementById('iig_sd_denoising_row')?.classList.toggle('iig-hidden', sdReferenceMode !== 'img2img');
+        document.getElementById('iig_sd_controlnet_module_row')?.classList.toggle('iig-hidden', sdReferenceMode !== 'controlnet');
+        document.getElementById('iig_sd_controlnet_model_row')?.classList.toggle('iig-hidden', sdReferenceMode !== 'controlnet');
+
+        // ComfyUI-only params
+        document.getElementById('iig_comfyui_hint')?.classList.toggle('iig-hidden', !isComfyUi);
+        document.getElementById('iig_comfyui_section')?.classList.toggle('iig-hidden', !isComfyUi);
+
+        // Custom HTTP API params
+        document.getElementById('iig_custom_hint')?.classList.toggle('iig-hidden', !isCustom);
+        document.getElementById('iig_custom_section')?.classList.toggle('iig-hidden', !isCustom);
+
+        // Submit-then-poll mode (custom, OpenAI, Naistera)
+        document.getElementById('iig_async_section')?.classList.toggle('iig-hidden', !ASYNC_JOB_PROVIDERS.includes(apiType));
+        document.getElementById('iig_custom_async_section')?.classList.toggle('iig-hidden', !view.customAsync);
+        document.getElementById('iig_custom_result_path_row')?.classList.toggle('iig-hidden', isCustom);
+        document.getElementById('iig_custom_async_hint')?.classList.toggle('iig-hidden', !isCustom);
+        document.getElementById('iig_provider_async_hint')?.classList.toggle('iig-hidden', isCustom);
+
+        for (const card of AVATAR_REFERENCE_CARDS) {
+            const cardVisible = isAvatarReferencesCardVisible(card, view);
+            document.getElementById(`${card.prefix}_refs_section`)?.classList.toggle('iig-hidden', !cardVisible);
+            document.getElementById(`${card.prefix}_use_active_persona_avatar_row`)?.classList.toggle('iig-hidden', !(cardVisible && settings[card.userKey]));
+            document.getElementById(`${card.prefix}_user_avatar_row`)?.classList.toggle(
+                'iig-hidden',
+                !(cardVisible && settings[card.userKey] && !settings.useActiveUserPersonaAvatar)
+            );
+        }
+
         const endpointInput = document.getElementById('iig_endpoint');
         if (endpointInput) {
             endpointInput.placeholder = getEndpointPlaceholder(apiType);
         }
 
-        // Avatar section is only for Gemini/nano-banana
+        // Aspect ratio / resolution are shared by Gemini/nano-banana, SD WebUI, ComfyUI and custom APIs
         const avatarSection = document.getElementById('iig_avatar_section');
         if (avatarSection) {
-            avatarSection.classList.toggle('hidden', !isGemini);
+            avatarSection.classList.toggle('hidden', !(isGemini || isSdWebUi || isComfyUi || isCustom));
         }
         const avatarRefsSection = document.getElementById('iig_avatar_refs_section');
         if (avatarRefsSection) {
@@ -3466,6 +6932,26 @@ function bindSettingsEvents() {
         saveSettings();
     });
 
+    document.getElementById('iig_auto_generate_swipe')?.addEventListener('change', (e) => {
+        settings.autoGenerateOnSwipe = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_auto_generate_edit')?.addEventListener('change', (e) => {
+        settings.autoGenerateOnEdit = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_auto_generate_continue')?.addEventListener('change', (e) => {
+        settings.autoGenerateOnContinue = e.target.checked;
+        saveSettings();
+    });
+
+    document.getElementById('iig_generate_while_streaming')?.addEventListener('change', (e) => {
+        settings.generateWhileStreaming = e.target.checked;
+        saveSettings();
+    });
+
     document.getElementById('iig_image_context_enabled')?.addEventListener('change', (e) => {
         settings.imageContextEnabled = e.target.checked;
         saveSettings();
@@ -3479,36 +6965,203 @@ function bindSettingsEvents() {
         saveSettings();
     });
     
+    // Push the active profile's config into every connection input after a profile switch
+    const syncConnectionInputs = () => {
+        const view = getConnectionSettings();
+        const valueInputs = {
+            iig_api_type: view.apiType,
+            iig_endpoint: view.endpoint,
+            iig_api_key: view.apiKey,
+            iig_max_concurrency: String(normalizeMaxConcurrency(view.maxConcurrency)),
+            iig_size: view.size,
+            iig_quality: view.quality,
+            iig_aspect_ratio: view.aspectRatio,
+            iig_image_size: view.imageSize,
+            iig_naistera_model: normalizeNaisteraModel(view.naisteraModel),
+            iig_naistera_aspect_ratio: view.naisteraAspectRatio,
+            iig_naistera_video_every_n: String(normalizeNaisteraVideoFrequency(view.naisteraVideoEveryN)),
+            iig_sd_sampler: view.sdSampler,
+            iig_sd_steps: String(normalizeSdWebUiSteps(view.sdSteps)),
+            iig_sd_cfg_scale: String(normalizeSdWebUiCfgScale(view.sdCfgScale)),
+            iig_sd_negative_prompt: view.sdNegativePrompt,
+            iig_sd_reference_mode: normalizeSdWebUiReferenceMode(view.sdReferenceMode),
+            iig_sd_denoising_strength: String(normalizeSdWebUiDenoisingStrength(view.sdDenoisingStrength)),
+            iig_sd_controlnet_module: view.sdControlNetModule,
+            iig_sd_controlnet_model: view.sdControlNetModel,
+            iig_comfy_negative_prompt: view.comfyNegativePrompt,
+            iig_custom_body_template: view.customBodyTemplate,
+            iig_custom_headers: view.customHeaders,
+            iig_custom_image_path: view.customImagePath,
+            iig_custom_reference_format: normalizeCustomReferenceFormat(view.customReferenceFormat),
+            iig_custom_job_id_path: view.customJobIdPath,
+            iig_custom_status_url: view.customStatusUrl,
+            iig_custom_status_path: view.customStatusPath,
+            iig_custom_success_values: view.customSuccessValues,
+            iig_custom_failure_values: view.customFailureValues,
+            iig_custom_progress_path: view.customProgressPath,
+            iig_custom_queue_position_path: view.customQueuePositionPath,
+            iig_custom_result_path: view.customResultPath,
+            iig_custom_poll_interval: String(normalizeCustomPollInterval(view.customPollIntervalSec)),
+            iig_custom_poll_timeout: String(normalizeCustomPollTimeout(view.customPollTimeoutSec)),
+        };
+        for (const [id, value] of Object.entries(valueInputs)) {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value ?? '';
+            }
+        }
+
+        const checkboxInputs = {
+            iig_openai_image_edits: view.openaiImageEdits,
+            iig_naistera_video_test: view.naisteraVideoTest,
+            iig_custom_async: view.customAsync,
+        };
+        for (const [id, checked] of Object.entries(checkboxInputs)) {
+            const input = document.getElementById(id);
+            if (input) {
+                input.checked = Boolean(checked);
+            }
+        }
+
+        const modelSelect = document.getElementById('iig_model');
+        if (modelSelect) {
+            modelSelect.innerHTML = view.model
+                ? `<option value="${sanitizeForHtml(view.model)}" selected>${sanitizeForHtml(view.model)}</option>`
+                : '<option value="">-- Выберите модель --</option>';
+        }
+
+        const comfyStatus = document.getElementById('iig_comfy_workflow_status');
+        if (comfyStatus) {
+            comfyStatus.textContent = describeComfyWorkflow(view);
+        }
+
+        const profileSelect = document.getElementById('iig_connection_profile');
+        if (profileSelect) {
+            profileSelect.innerHTML = buildConnectionProfileOptionsHtml();
+        }
+        const profileName = document.getElementById('iig_connection_profile_name');
+        if (profileName) {
+            profileName.value = getActiveConnectionProfile(settings).name;
+        }
+
+        renderFallbackProfiles();
+        updateVisibility();
+    };
+
+    // Connection profiles
+    document.getElementById('iig_connection_profile')?.addEventListener('change', (e) => {
+        settings.activeConnectionProfileId = e.target.value;
+        saveSettings();
+        syncConnectionInputs();
+        iigLog('INFO', `Switched connection profile: ${getActiveConnectionProfile(settings).name}`);
+    });
+
+    document.getElementById('iig_connection_profile_name')?.addEventListener('input', (e) => {
+        const profile = getActiveConnectionProfile(settings);
+        profile.name = e.target.value;
+        saveSettings();
+        const option = document.querySelector(`#iig_connection_profile option[value="${CSS.escape(profile.id)}"]`);
+        if (option) {
+            option.textContent = profile.name.trim() || 'Без названия';
+        }
+        renderFallbackProfiles();
+    });
+
+    document.getElementById('iig_connection_profile_name')?.addEventListener('change', () => {
+        // Re-normalizes blank names back to "Профиль N"
+        ensureConnectionProfiles(settings);
+        saveSettings();
+        syncConnectionInputs();
+    });
+
+    document.getElementById('iig_connection_profile_add')?.addEventListener('click', () => {
+        const profile = createConnectionProfile();
+        saveSettings();
+        syncConnectionInputs();
+        toastr.success(`Профиль "${profile.name}" создан`, 'Генерация картинок');
+    });
+
+    document.getElementById('iig_connection_profile_remove')?.addEventListener('click', () => {
+        if (!removeConnectionProfile(settings.activeConnectionProfileId)) {
+            toastr.warning('Нельзя удалить единственный профиль', 'Генерация картинок');
+            return;
+        }
+        saveSettings();
+        syncConnectionInputs();
+    });
+
+    // Fallback chain
+    document.getElementById('iig_fallback_add')?.addEventListener('click', () => {
+        const profileId = document.getElementById('iig_fallback_add_select')?.value || '';
+        if (!profileId) {
+            return;
+        }
+        ensureConnectionProfiles(settings);
+        settings.fallbackProfileIds.push(profileId);
+        saveSettings();
+        renderFallbackProfiles();
+    });
+
+    document.getElementById('iig_fallback_list')?.addEventListener('click', (e) => {
+        const target = e.target instanceof Element ? e.target : null;
+        const upButton = target?.closest('[data-fallback-up]');
+        const removeButton = target?.closest('[data-fallback-remove]');
+        ensureConnectionProfiles(settings);
+        const ids = settings.fallbackProfileIds;
+
+        if (upButton) {
+            const index = ids.indexOf(upButton.getAttribute('data-fallback-up'));
+            if (index > 0) {
+                [ids[index - 1], ids[index]] = [ids[index], ids[index - 1]];
+            }
+        } else if (removeButton) {
+            settings.fallbackProfileIds = ids.filter((id) => id !== removeButton.getAttribute('data-fallback-remove'));
+        } else {
+            return;
+        }
+
+        saveSettings();
+        renderFallbackProfiles();
+    });
+
     // API Type
     document.getElementById('iig_api_type')?.addEventListener('change', (e) => {
         const nextApiType = e.target.value;
         const endpointInput = document.getElementById('iig_endpoint');
-        if (shouldReplaceEndpointForApiType(nextApiType, settings.endpoint)) {
-            settings.endpoint = normalizeConfiguredEndpoint(nextApiType, '');
+        const connection = getActiveConnection(settings);
+        if (shouldReplaceEndpointForApiType(nextApiType, connection.endpoint)) {
+            connection.endpoint = normalizeConfiguredEndpoint(nextApiType, '');
             if (endpointInput) {
-                endpointInput.value = settings.endpoint;
+                endpointInput.value = connection.endpoint;
             }
         } else if (nextApiType === 'naistera') {
-            settings.endpoint = normalizeConfiguredEndpoint(nextApiType, settings.endpoint);
+            connection.endpoint = normalizeConfiguredEndpoint(nextApiType, connection.endpoint);
             if (endpointInput) {
-                endpointInput.value = settings.endpoint;
+                endpointInput.value = connection.endpoint;
             }
         }
-        settings.apiType = nextApiType;
+        connection.apiType = nextApiType;
         saveSettings();
         updateVisibility();
+        renderFallbackProfiles();
     });
     
     // Endpoint
     document.getElementById('iig_endpoint')?.addEventListener('input', (e) => {
-        settings.endpoint = e.target.value;
+        getActiveConnection(settings).endpoint = e.target.value;
         saveSettings();
     });
     
     // API Key
     document.getElementById('iig_api_key')?.addEventListener('input', (e) => {
-        settings.apiKey = e.target.value;
+        getActiveConnection(settings).apiKey = e.target.value;
+        saveSettings();
+    });
+    
+    document.getElementById('iig_max_concurrency')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).maxConcurrency = normalizeMaxConcurrency(e.target.value);
         saveSettings();
+        pumpGenerationQueue();
     });
     
     // API Key toggle visibility
@@ -3526,13 +7179,13 @@ function bindSettingsEvents() {
     
     // Model
     document.getElementById('iig_model')?.addEventListener('change', (e) => {
-        settings.model = e.target.value;
+        getActiveConnection(settings).model = e.target.value;
         saveSettings();
         
         // Auto-switch API type based on model
         if (isGeminiModel(e.target.value)) {
             document.getElementById('iig_api_type').value = 'gemini';
-            settings.apiType = 'gemini';
+            getActiveConnection(settings).apiType = 'gemini';
             updateVisibility();
         }
     });
@@ -3547,7 +7200,7 @@ function bindSettingsEvents() {
             const select = document.getElementById('iig_model');
             
             // Keep current selection if it exists in new list
-            const currentModel = settings.model;
+            const currentModel = getActiveConnection(settings).model;
             
             select.innerHTML = '<option value="">-- Выберите модель --</option>';
             
@@ -3569,54 +7222,214 @@ function bindSettingsEvents() {
     
     // Size
     document.getElementById('iig_size')?.addEventListener('change', (e) => {
-        settings.size = e.target.value;
+        getActiveConnection(settings).size = e.target.value;
         saveSettings();
     });
     
     // Quality
     document.getElementById('iig_quality')?.addEventListener('change', (e) => {
-        settings.quality = e.target.value;
+        getActiveConnection(settings).quality = e.target.value;
+        saveSettings();
+    });
+    
+    document.getElementById('iig_openai_image_edits')?.addEventListener('change', (e) => {
+        getActiveConnection(settings).openaiImageEdits = e.target.checked;
         saveSettings();
+        updateVisibility();
     });
     
     // Aspect Ratio (nano-banana)
     document.getElementById('iig_aspect_ratio')?.addEventListener('change', (e) => {
-        settings.aspectRatio = e.target.value;
+        getActiveConnection(settings).aspectRatio = e.target.value;
         saveSettings();
     });
     
     // Image Size (nano-banana)
     document.getElementById('iig_image_size')?.addEventListener('change', (e) => {
-        settings.imageSize = e.target.value;
+        getActiveConnection(settings).imageSize = e.target.value;
         saveSettings();
     });
 
     // Naistera aspect ratio
     document.getElementById('iig_naistera_model')?.addEventListener('change', (e) => {
-        settings.naisteraModel = normalizeNaisteraModel(e.target.value);
+        getActiveConnection(settings).naisteraModel = normalizeNaisteraModel(e.target.value);
         saveSettings();
         updateVisibility();
     });
 
     // Naistera aspect ratio
     document.getElementById('iig_naistera_aspect_ratio')?.addEventListener('change', (e) => {
-        settings.naisteraAspectRatio = e.target.value;
+        getActiveConnection(settings).naisteraAspectRatio = e.target.value;
         saveSettings();
     });
 
     document.getElementById('iig_naistera_video_test')?.addEventListener('change', (e) => {
-        settings.naisteraVideoTest = e.target.checked;
+        getActiveConnection(settings).naisteraVideoTest = e.target.checked;
         saveSettings();
         updateVisibility();
     });
 
     document.getElementById('iig_naistera_video_every_n')?.addEventListener('input', (e) => {
         const normalized = normalizeNaisteraVideoFrequency(e.target.value);
-        settings.naisteraVideoEveryN = normalized;
+        getActiveConnection(settings).naisteraVideoEveryN = normalized;
         e.target.value = String(normalized);
         saveSettings();
     });
 
+    // SD WebUI params
+    document.getElementById('iig_sd_sampler')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdSampler = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_steps')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdSteps = normalizeSdWebUiSteps(e.target.value);
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_cfg_scale')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdCfgScale = normalizeSdWebUiCfgScale(e.target.value);
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_negative_prompt')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdNegativePrompt = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_reference_mode')?.addEventListener('change', (e) => {
+        getActiveConnection(settings).sdReferenceMode = normalizeSdWebUiReferenceMode(e.target.value);
+        saveSettings();
+        updateVisibility();
+    });
+
+    document.getElementById('iig_sd_denoising_strength')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdDenoisingStrength = normalizeSdWebUiDenoisingStrength(e.target.value);
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_controlnet_module')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdControlNetModule = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_sd_controlnet_model')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).sdControlNetModel = e.target.value;
+        saveSettings();
+    });
+
+    // ComfyUI workflow
+    document.getElementById('iig_comfy_workflow_file')?.addEventListener('change', async (e) => {
+        const target = e.target;
+        const file = target.files?.[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const rawWorkflow = await file.text();
+            const placeholders = getComfyWorkflowPlaceholders(parseComfyWorkflow(rawWorkflow));
+            const connection = getActiveConnection(settings);
+            connection.comfyWorkflow = rawWorkflow;
+            connection.comfyWorkflowName = file.name;
+            saveSettings();
+            if (!placeholders.has('prompt')) {
+                toastr.warning('В workflow не найден плейсхолдер {prompt}', 'Генерация картинок');
+            } else {
+                toastr.success('Workflow загружен', 'Генерация картинок');
+            }
+        } catch (error) {
+            toastr.error(`Ошибка загрузки workflow: ${error.message || error}`, 'Генерация картинок');
+        } finally {
+            target.value = '';
+            const status = document.getElementById('iig_comfy_workflow_status');
+            if (status) {
+                status.textContent = describeComfyWorkflow();
+            }
+            updateVisibility();
+        }
+    });
+
+    document.getElementById('iig_comfy_workflow_clear')?.addEventListener('click', () => {
+        const connection = getActiveConnection(settings);
+        connection.comfyWorkflow = '';
+        connection.comfyWorkflowName = '';
+        saveSettings();
+        const status = document.getElementById('iig_comfy_workflow_status');
+        if (status) {
+            status.textContent = describeComfyWorkflow();
+        }
+        updateVisibility();
+    });
+
+    document.getElementById('iig_comfy_negative_prompt')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).comfyNegativePrompt = e.target.value;
+        saveSettings();
+    });
+
+    // Custom HTTP API
+    document.getElementById('iig_custom_body_template')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).customBodyTemplate = e.target.value;
+        saveSettings();
+        updateVisibility();
+    });
+
+    document.getElementById('iig_custom_body_template')?.addEventListener('change', (e) => {
+        try {
+            parseCustomBodyTemplate(e.target.value);
+        } catch (error) {
+            toastr.warning(error.message, 'Генерация картинок');
+        }
+    });
+
+    document.getElementById('iig_custom_headers')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).customHeaders = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_custom_image_path')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).customImagePath = e.target.value;
+        saveSettings();
+    });
+
+    document.getElementById('iig_custom_reference_format')?.addEventListener('change', (e) => {
+        getActiveConnection(settings).customReferenceFormat = normalizeCustomReferenceFormat(e.target.value);
+        saveSettings();
+    });
+
+    document.getElementById('iig_custom_async')?.addEventListener('change', (e) => {
+        getActiveConnection(settings).customAsync = e.target.checked;
+        saveSettings();
+        updateVisibility();
+    });
+
+    const customAsyncTextInputs = {
+        iig_custom_job_id_path: 'customJobIdPath',
+        iig_custom_status_url: 'customStatusUrl',
+        iig_custom_status_path: 'customStatusPath',
+        iig_custom_success_values: 'customSuccessValues',
+        iig_custom_failure_values: 'customFailureValues',
+        iig_custom_progress_path: 'customProgressPath',
+        iig_custom_queue_position_path: 'customQueuePositionPath',
+        iig_custom_result_path: 'customResultPath',
+    };
+    for (const [id, key] of Object.entries(customAsyncTextInputs)) {
+        document.getElementById(id)?.addEventListener('input', (e) => {
+            getActiveConnection(settings)[key] = e.target.value;
+            saveSettings();
+        });
+    }
+
+    document.getElementById('iig_custom_poll_interval')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).customPollIntervalSec = normalizeCustomPollInterval(e.target.value);
+        saveSettings();
+    });
+
+    document.getElementById('iig_custom_poll_timeout')?.addEventListener('input', (e) => {
+        getActiveConnection(settings).customPollTimeoutSec = normalizeCustomPollTimeout(e.target.value);
+        saveSettings();
+    });
+
     // Naistera references (UI only for now)
     document.getElementById('iig_naistera_send_char_avatar')?.addEventListener('change', (e) => {
         settings.naisteraSendCharAvatar = e.target.checked;
@@ -3705,6 +7518,43 @@ function bindSettingsEvents() {
         }
     });
 
+    for (const card of AVATAR_REFERENCE_CARDS) {
+        document.getElementById(`${card.prefix}_send_char_avatar`)?.addEventListener('change', (e) => {
+            settings[card.charKey] = e.target.checked;
+            saveSettings();
+        });
+
+        document.getElementById(`${card.prefix}_send_user_avatar`)?.addEventListener('change', (e) => {
+            settings[card.userKey] = e.target.checked;
+            saveSettings();
+            updateVisibility();
+        });
+
+        document.getElementById(`${card.prefix}_use_active_persona_avatar`)?.addEventListener('change', (e) => {
+            settings.useActiveUserPersonaAvatar = e.target.checked;
+            syncActivePersonaAvatarMode(settings.useActiveUserPersonaAvatar);
+            saveSettings();
+            updateVisibility();
+        });
+
+        document.getElementById(`${card.prefix}_refresh_avatars`)?.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const btn = e.currentTarget;
+            btn.classList.add('loading');
+
+            try {
+                const avatars = await refreshUserAvatarSelects();
+
+                toastr.success(`Найдено аватаров: ${avatars.length}`, 'Генерация картинок');
+                document.getElementById(`${card.prefix}_user_avatar_dropdown`)?.classList.add('open');
+            } catch (error) {
+                toastr.error('Ошибка загрузки аватаров', 'Генерация картинок');
+            } finally {
+                btn.classList.remove('loading');
+            }
+        });
+    }
+
     for (const { rootId, selectedId, listId } of getUserAvatarDropdownConfigs()) {
         document.getElementById(selectedId)?.addEventListener('click', async (e) => {
             e.stopPropagation();
@@ -3869,6 +7719,65 @@ function bindSettingsEvents() {
         }
     });
 
+    document.getElementById('iig_instruction_edit_close')?.addEventListener('click', () => {
+        closeInstructionEditModal();
+    });
+
+    document.querySelector('#iig_instruction_edit_modal [data-iig-modal-close="true"]')?.addEventListener('click', () => {
+        closeInstructionEditModal();
+    });
+
+    document.getElementById('iig_instruction_edit_submit')?.addEventListener('click', async () => {
+        const button = document.getElementById('iig_instruction_edit_submit');
+        if (!(button instanceof HTMLDivElement) || button.classList.contains('loading')) {
+            return;
+        }
+
+        button.classList.add('loading');
+        try {
+            await submitInstructionEdit();
+        } catch (error) {
+            toastr.error(`Ошибка: ${error.message || error}`, 'Генерация картинок');
+        } finally {
+            button.classList.remove('loading');
+        }
+    });
+
+    document.getElementById('iig_instruction_edit_modal')?.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+            e.preventDefault();
+            document.getElementById('iig_instruction_edit_submit')?.click();
+        }
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeInstructionEditModal();
+        }
+    });
+
+    document.getElementById('iig_error_details_close')?.addEventListener('click', () => {
+        closeErrorDetailsModal();
+    });
+
+    document.querySelector('#iig_error_details_modal [data-iig-modal-close="true"]')?.addEventListener('click', () => {
+        closeErrorDetailsModal();
+    });
+
+    document.getElementById('iig_error_details_modal')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeErrorDetailsModal();
+        }
+    });
+
+    document.getElementById('iig_error_details_retry')?.addEventListener('click', async () => {
+        const target = errorDetailsTarget;
+        if (!target) {
+            return;
+        }
+        closeErrorDetailsModal();
+        await regenerateMessageImages(target.messageId, { tagIds: [target.tagId] });
+    });
+
     document.getElementById('iig_additional_refs_list')?.addEventListener('input', (e) => {
         const target = e.target;
         if (!(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement)) {
@@ -4026,6 +7935,27 @@ function bindSettingsEvents() {
         exportLogs();
     });
 
+    // Chat-wide bulk actions
+    document.querySelectorAll('[data-iig-chat-action]').forEach((button) => {
+        button.addEventListener('click', () => {
+            runChatBulkAction(button.getAttribute('data-iig-chat-action')).catch((error) => {
+                iigLog('ERROR', 'Bulk action failed:', error.message);
+                toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+            });
+        });
+    });
+
+    document.getElementById('iig_restyle_run')?.addEventListener('click', () => {
+        runChatRestyle(
+            document.getElementById('iig_restyle_style')?.value,
+            document.getElementById('iig_restyle_from')?.value,
+            document.getElementById('iig_restyle_to')?.value,
+        ).catch((error) => {
+            iigLog('ERROR', 'Chat re-style failed:', error.message);
+            toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+        });
+    });
+
     // Apply initial state
     syncUserAvatarSelection(settings.userAvatarFile);
     syncActivePersonaAvatarMode(settings.useActiveUserPersonaAvatar);
@@ -4033,6 +7963,36 @@ function bindSettingsEvents() {
     updateVisibility();
 }
 
+const autoProcessingTimers = new Map();
+
+/**
+ * Run onMessageReceived for a message touched by swipe/edit/continue.
+ * Events of one action (e.g. MESSAGE_EDITED + MESSAGE_UPDATED) collapse into one run after the DOM settles.
+ */
+function scheduleMessageProcessing(messageId, reason, delay = 100) {
+    clearTimeout(autoProcessingTimers.get(messageId));
+    autoProcessingTimers.set(messageId, setTimeout(() => {
+        autoProcessingTimers.delete(messageId);
+        if (processingMessages.has(getMessageProcessingKey(messageId))) {
+            // e.g. the work of a swipe that was just left is still winding down
+            scheduleMessageProcessing(messageId, reason, 500);
+            return;
+        }
+        iigLog('INFO', `Auto-processing message ${messageId} after ${reason}`);
+        onMessageReceived(messageId);
+    }, delay));
+}
+
+/**
+ * Message ids are only meaningful in the chat they were scheduled in; a pending run would hit the same index of the next chat
+ */
+function clearAutoProcessingTimers() {
+    for (const timer of autoProcessingTimers.values()) {
+        clearTimeout(timer);
+    }
+    autoProcessingTimers.clear();
+}
+
 /**
  * Initialize extension
  */
@@ -4050,17 +8010,24 @@ function bindSettingsEvents() {
     // Create settings UI when app is ready
     context.eventSource.on(context.event_types.APP_READY, () => {
         createSettingsUI();
+        initMediaToolbar();
         // Add buttons to any messages already in chat
         addButtonsToExistingMessages();
+        refreshPendingIndicator();
         console.log('[IIG] Inline Image Generation extension loaded');
     });
     
     // When chat is loaded/changed, add buttons to all existing messages
     context.eventSource.on(context.event_types.CHAT_CHANGED, () => {
         iigLog('INFO', 'CHAT_CHANGED event - adding buttons to existing messages');
+        for (const messageId of [...streamingJobs.keys()]) {
+            dropStreamingJobs(messageId);
+        }
+        clearAutoProcessingTimers();
         // Small delay to ensure DOM is ready
         setTimeout(() => {
             addButtonsToExistingMessages();
+            refreshPendingIndicator();
         }, 100);
     });
     
@@ -4072,12 +8039,54 @@ function bindSettingsEvents() {
     
     // Listen for new messages AFTER they're rendered in DOM
     // CHARACTER_MESSAGE_RENDERED fires after addOneMessage() completes
-    // This is the ONLY event we handle - no auto-retry on swipe/update
+    // The main entry point; swipe/edit/continue below only run when enabled in settings
     context.eventSource.makeLast(context.event_types.CHARACTER_MESSAGE_RENDERED, handleMessage);
     
-    // NOTE: We intentionally DO NOT handle MESSAGE_SWIPED or MESSAGE_UPDATED
-    // Swipe = user wants NEW content, not to retry old error images
-    // If user wants to retry failed images, they use the regenerate button in menu
+    // Opt-in: start complete tags while the response is still streaming
+    context.eventSource.on(context.event_types.STREAM_TOKEN_RECEIVED, (text) => {
+        onStreamTokenReceived(text).catch((error) => {
+            iigLog('ERROR', 'Streaming tag detection failed:', error.message);
+        });
+    });
+
+    // Swipe, edit and continue are opt-in. processMessageTags skips error images,
+    // so failed images are still only retried by the user
+    context.eventSource.on(context.event_types.MESSAGE_SWIPED, (messageId) => {
+        const id = Number(messageId);
+        const message = SillyTavern.getContext().chat[id];
+        if (!message) return;
+
+        const cancelled = cancelLeftSwipeGenerations(id, message.swipe_id);
+        if (cancelled > 0) {
+            iigLog('INFO', `Cancelled ${cancelled} generation(s) of a swipe that was left in message ${id}`);
+        }
+        if (getSettings().autoGenerateOnSwipe) {
+            scheduleMessageProcessing(id, 'swipe');
+        }
+    });
+
+    const handleEdit = (messageId) => {
+        if (getSettings().autoGenerateOnEdit) {
+            scheduleMessageProcessing(Number(messageId), 'edit');
+        }
+    };
+    context.eventSource.on(context.event_types.MESSAGE_EDITED, handleEdit);
+    context.eventSource.on(context.event_types.MESSAGE_UPDATED, handleEdit);
+
+    // GENERATION_ENDED does not say what kind of generation it was, so remember it from GENERATION_STARTED
+    let lastGenerationType = '';
+    context.eventSource.on(context.event_types.GENERATION_STARTED, (type, _params, dryRun) => {
+        if (!dryRun) {
+            lastGenerationType = type;
+        }
+    });
+    context.eventSource.on(context.event_types.GENERATION_ENDED, () => {
+        const chat = SillyTavern.getContext().chat;
+        if (lastGenerationType === 'continue' && getSettings().autoGenerateOnContinue && chat.length > 0) {
+            scheduleMessageProcessing(chat.length - 1, 'continue');
+        }
+        lastGenerationType = '';
+    });
     
     console.log('[IIG] Inline Image Generation extension initialized');
 })();